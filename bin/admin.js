@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// Command line tool for support staff, working on the store configured for the server (see the
+// README). Run without arguments for the list of commands.
+
+require("dotenv").config();
+
+const fs = require("fs");
+const os = require("os");
+const { parseArgs } = require("util");
+const { createStore } = require("../libs/store");
+const { createAuditLog } = require("../libs/audit");
+const { createAdmin } = require("../libs/admin");
+const settings = require("../libs/settings");
+
+const USAGE = `Usage: node bin/admin.js <command> [options]
+
+Commands:
+  users [--search <text>] [--limit <n>]   List users, or those whose username contains text
+  user <username>                         Show a user, their credentials and sessions
+  revoke-credential <username> <credId>   Remove a credential and sign out of its sessions
+  reset-2fa <username>                    Remove every second factor and sign out everywhere
+  sign-out <username>                     Sign out of every session
+  reset-password <username>               Print a one-time link for the user to set their password
+  recoveries                              List account recoveries awaiting approval
+  approve-recovery <username>             Let a user complete their account recovery
+  deny-recovery <username>                Refuse a user's account recovery
+  grant-admin <username> <role>           Give access to the admin area, as viewer or helpdesk
+  revoke-admin <username>                 Take back access to the admin area and its keys
+  export [--output <file>]                Export every user as JSON, secrets included
+  import <file>                           Add the users of an export, skipping those already taken
+  prune [challenges|sessions]             Remove expired challenges and sessions
+
+Options:
+  --reason <text>                         Why, recorded in the audit log with your username
+  --json                                  Print JSON instead of text`;
+
+// ----------------------------------------------------------------------------
+// Output
+// ----------------------------------------------------------------------------
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString() : "never";
+}
+
+function printUsers(users) {
+  if (!users.length) {
+    console.log("No users found");
+    return;
+  }
+  for (const user of users) {
+    const factors = [
+      `${user.credentials.length} credential(s)`,
+      user.hasTotp ? "authenticator app" : null,
+      `${user.recoveryCodesLeft} recovery code(s)`
+    ].filter(Boolean);
+    console.log(`${user.username}\t${user.id}\t${factors.join(", ")}`);
+  }
+}
+
+function printUser(user) {
+  console.log(`Username: ${user.username}`);
+  console.log(`ID: ${user.id}`);
+  console.log(`Authenticator app: ${user.hasTotp ? "yes" : "no"}`);
+  console.log(`Recovery codes left: ${user.recoveryCodesLeft}`);
+  console.log(`Trusted browsers: ${user.trustedDevicesCount}`);
+  console.log(`Recovery email: ${user.recoveryEmail || "none"}`);
+  if (user.accountRecoveryStatus) {
+    console.log(`Account recovery: ${user.accountRecoveryStatus}`);
+  }
+  console.log(`Credentials (${user.credentials.length}):`);
+  for (const cred of user.credentials) {
+    console.log(`  ${cred.credId}`);
+    console.log(
+      `    ${cred.name || "Unnamed"} (${cred.authenticatorName ||
+        "unknown model"}${cred.aaguid ? `, AAGUID ${cred.aaguid}` : ""})`
+    );
+    console.log(
+      `    Created ${formatDate(cred.creationDate)}, last used ${formatDate(
+        cred.lastUsedDate
+      )}, ${cred.useCount} use(s)`
+    );
+    if (cred.cloneDetectionDate) {
+      console.log(
+        `    Possibly cloned, detected ${formatDate(cred.cloneDetectionDate)}`
+      );
+    }
+  }
+  console.log(`Active sessions (${user.sessions.length}):`);
+  for (const session of user.sessions) {
+    console.log(
+      `  Since ${formatDate(session.creationDate)}, last seen ${formatDate(
+        session.lastSeenDate
+      )} from ${session.ip} (${session.userAgent})`
+    );
+  }
+}
+
+// ----------------------------------------------------------------------------
+// Commands
+// ----------------------------------------------------------------------------
+
+// Each command prints its result and resolves to the process's exit code
+const commands = {
+  async users(admin, { values }, actor) {
+    const users = await admin.findUsers(
+      {
+        query: values.search,
+        limit: values.limit ? Number(values.limit) : undefined
+      },
+      actor
+    );
+    values.json
+      ? console.log(JSON.stringify(users, null, 2))
+      : printUsers(users);
+  },
+
+  async user(admin, { values, positionals: [username] }, actor) {
+    const user = await admin.getUser(username, actor);
+    values.json ? console.log(JSON.stringify(user, null, 2)) : printUser(user);
+  },
+
+  async "revoke-credential"(admin, { positionals: [username, credId] }, actor) {
+    const cred = await admin.revokeCredential(username, credId, actor);
+    console.log(
+      `Removed credential "${cred.name || cred.credId}" of ${username}`
+    );
+  },
+
+  async "reset-2fa"(admin, { positionals: [username] }, actor) {
+    await admin.resetTwoFactor(username, actor);
+    console.log(
+      `Removed every second factor of ${username} and signed them out everywhere`
+    );
+  },
+
+  async "sign-out"(admin, { positionals: [username] }, actor) {
+    const count = await admin.signOut(username, actor);
+    console.log(`Signed ${username} out of ${count} session(s)`);
+  },
+
+  // Hand the link over only once the user's identity is checked: it stands in for the password
+  async "reset-password"(admin, { values, positionals: [username] }, actor) {
+    const [origin] = settings.getRpConfig().origins;
+    const { token, expirationDate } = await admin.resetPassword(
+      username,
+      actor
+    );
+    const params = new URLSearchParams({ username, token });
+    const link = `${origin}/reset-password?${params}`;
+    if (values.json) {
+      console.log(JSON.stringify({ link, expirationDate }, null, 2));
+      return;
+    }
+    console.log(
+      `Give this link to ${username}, it can be used once until ${formatDate(
+        expirationDate
+      )}:\n${link}`
+    );
+  },
+
+  async recoveries(admin, { values }, actor) {
+    const recoveries = await admin.findPendingRecoveries(actor);
+    if (values.json) {
+      console.log(JSON.stringify(recoveries, null, 2));
+      return;
+    }
+    if (!recoveries.length) {
+      console.log("No account recovery awaits approval");
+    }
+    for (const { username, requestDate, confirmationDate } of recoveries) {
+      console.log(
+        `${username}\trequested ${formatDate(
+          requestDate
+        )}, confirmed ${formatDate(confirmationDate)}`
+      );
+    }
+  },
+
+  async "approve-recovery"(admin, { positionals: [username] }, actor) {
+    await admin.approveRecovery(username, actor);
+    console.log(`${username} can now complete their account recovery`);
+  },
+
+  async "deny-recovery"(admin, { positionals: [username] }, actor) {
+    await admin.denyRecovery(username, actor);
+    console.log(`Account recovery of ${username} denied`);
+  },
+
+  async "grant-admin"(admin, { positionals: [username, role] }, actor) {
+    await admin.setAdminRole(username, role, actor);
+    console.log(
+      `${username} is now ${role}. They register their admin security key at /admin`
+    );
+  },
+
+  async "revoke-admin"(admin, { positionals: [username] }, actor) {
+    await admin.setAdminRole(username, null, actor);
+    console.log(`${username} no longer has access to the admin area`);
+  },
+
+  async export(admin, { values }, actor) {
+    const json = JSON.stringify(await admin.exportUsers(actor), null, 2);
+    if (!values.output) {
+      console.log(json);
+      return;
+    }
+    // Password hashes and TOTP secrets: readable by the owner only
+    fs.writeFileSync(values.output, json, { mode: 0o600 });
+    console.error(
+      `Exported to ${values.output}. It contains secrets, delete it once it's used`
+    );
+  },
+
+  async import(admin, { positionals: [filePath] }, actor) {
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const { imported, skipped } = await admin.importUsers(data, actor);
+    console.log(`Imported ${imported.length} user(s)`);
+    for (const { username, reason } of skipped) {
+      console.log(`Skipped ${username}: ${reason}`);
+    }
+    return skipped.length ? 1 : 0;
+  },
+
+  async prune(admin, { positionals: [what] }, actor) {
+    if (what && what !== "challenges" && what !== "sessions") {
+      throw new Error(`Can't prune "${what}", only challenges or sessions`);
+    }
+    const removed = await admin.prune(
+      {
+        challenges: !what || what === "challenges",
+        sessions: !what || what === "sessions"
+      },
+      actor
+    );
+    console.log(
+      `Removed ${removed.challenges} challenge(s) and ${removed.sessions} session(s)`
+    );
+  }
+};
+
+// How many positional arguments each command needs, after its name
+const requiredArguments = {
+  user: 1,
+  "revoke-credential": 2,
+  "reset-2fa": 1,
+  "sign-out": 1,
+  "reset-password": 1,
+  "approve-recovery": 1,
+  "deny-recovery": 1,
+  "grant-admin": 2,
+  "revoke-admin": 1,
+  import: 1
+};
+
+async function main() {
+  const args = parseArgs({
+    allowPositionals: true,
+    options: {
+      search: { type: "string" },
+      limit: { type: "string" },
+      output: { type: "string" },
+      reason: { type: "string" },
+      json: { type: "boolean" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+  const [name, ...positionals] = args.positionals;
+  const command = Object.prototype.hasOwnProperty.call(commands, name)
+    ? commands[name]
+    : undefined;
+  if (
+    !command ||
+    args.values.help ||
+    positionals.length < (requiredArguments[name] || 0)
+  ) {
+    console.error(USAGE);
+    return name && !args.values.help ? 2 : 0;
+  }
+  const store = createStore(settings.getStoreOptions());
+  const auditLog = createAuditLog({
+    store,
+    filePath: process.env.AUDIT_LOG_PATH
+  });
+  const admin = createAdmin({ store, auditLog, mailer: settings.getMailer() });
+  const actor = { admin: os.userInfo().username, reason: args.values.reason };
+  return command(admin, { values: args.values, positionals }, actor);
+}
+
+main().then(
+  exitCode => {
+    process.exitCode = exitCode || 0;
+  },
+  e => {
+    console.error(e.message);
+    process.exitCode = 1;
+  }
+);
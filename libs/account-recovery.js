@@ -0,0 +1,408 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// Self-service recovery of an account whose owner lost every second factor. The owner asks for it
+// on the second-factor page, which takes their password, then confirms it with a one-time link sent
+// to their recovery email. Recovery can be held back for a waiting period, during which signing in
+// with a second factor cancels it, and until support approves it. Completing it removes every
+// second factor and signs out everywhere; a new security key must then be registered.
+
+const crypto = require("crypto");
+const base64url = require("base64url");
+const { auditEventTypes } = require("./audit");
+
+// Where a recovery request stands
+const accountRecoveryStatuses = Object.freeze({
+  // The link was sent, the request isn't confirmed yet
+  AWAITING_CONFIRMATION: "awaiting_confirmation",
+  // Confirmed, the waiting period isn't over
+  WAITING: "waiting",
+  // Confirmed, support hasn't approved it yet
+  AWAITING_APPROVAL: "awaiting_approval",
+  READY: "ready"
+});
+
+// Machine-readable reasons for refusing a recovery step, as `code` of the thrown errors
+const accountRecoveryErrors = Object.freeze({
+  // Unknown, used, cancelled or expired link
+  INVALID_LINK: "invalid_recovery_link",
+  // Completing before the waiting period is over or before approval
+  NOT_READY: "recovery_not_ready",
+  // Approving or denying a user who has no request awaiting approval
+  NO_PENDING_APPROVAL: "no_pending_recovery_approval"
+});
+
+// How long the link can be used to confirm the request
+const LINK_TTL = 60 * 60 * 1000;
+// How long recovery can be completed once it's ready
+const COMPLETION_TTL = 7 * 24 * 60 * 60 * 1000;
+// A new request doesn't send another email within this time, so that it can't be used to spam
+const RESEND_INTERVAL = 60 * 1000;
+
+const TOKEN_BYTES = 32;
+
+// ----------------------------------------------------------------------------
+// Utils
+// ----------------------------------------------------------------------------
+
+function recoveryError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function hashToken(token) {
+  return crypto
+    .createHash("sha256")
+    .update(String(token))
+    .digest("base64");
+}
+
+function isTokenCorrect(recovery, token) {
+  return crypto.timingSafeEqual(
+    Buffer.from(recovery.tokenHash, "base64"),
+    Buffer.from(hashToken(token), "base64")
+  );
+}
+
+// One of accountRecoveryStatuses
+function getRecoveryStatus(recovery, now = Date.now()) {
+  if (!recovery.confirmationDate) {
+    return accountRecoveryStatuses.AWAITING_CONFIRMATION;
+  }
+  if (recovery.availableDate > now) {
+    return accountRecoveryStatuses.WAITING;
+  }
+  if (recovery.requiresApproval && !recovery.approvalDate) {
+    return accountRecoveryStatuses.AWAITING_APPROVAL;
+  }
+  return accountRecoveryStatuses.READY;
+}
+
+function formatDate(date) {
+  return new Date(date).toUTCString();
+}
+
+// ----------------------------------------------------------------------------
+// Recovery
+// ----------------------------------------------------------------------------
+
+/**
+ * Create the account recovery workflow. Requests are kept with the user, as `accountRecovery`
+ *
+ * Input:
+ * {
+     store: Object, // See libs/store
+     auditLog: Object, // See createAuditLog in libs/audit.js
+     mailer: Object, // See createMailer in libs/mailer.js; without it, no email is sent
+     origin: String, // Where the links in emails lead to, e.g. 'https://example.com'
+     waitingHours: Number, // How long after confirming recovery can be completed, default 0
+     requireApproval: Boolean // Whether support must approve each recovery, default false
+ * }
+ *
+ * Steps that can't be done throw an Error with one of accountRecoveryErrors as `code`
+ **/
+function createAccountRecovery({
+  store,
+  auditLog,
+  mailer,
+  origin,
+  waitingHours = 0,
+  requireApproval = false
+}) {
+  // actor is set when support does it, see createAdmin in libs/admin.js
+  function record(req, type, user, fields = {}, actor) {
+    return auditLog.record(actor ? actor.req || null : req, type, {
+      userId: user.id,
+      username: user.username,
+      ...(actor && { admin: actor.admin }),
+      ...(actor && actor.reason && { reason: actor.reason }),
+      ...fields
+    });
+  }
+
+  // Emails don't fail the step they're sent for, which is already done
+  async function sendEmail(user, subject, text) {
+    if (!mailer || !user.recoveryEmail) {
+      return;
+    }
+    try {
+      await mailer.send({ to: user.recoveryEmail, subject, text });
+    } catch (e) {
+      console.error(
+        `Sending "${subject}" to ${user.username} failed: ${e.message}`
+      );
+    }
+  }
+
+  // The user and their request the link is for, if it can still be used
+  async function findRequest(username, token) {
+    const user = await store.findUserByUsername(String(username || ""));
+    const recovery = user && user.accountRecovery;
+    if (
+      !recovery ||
+      recovery.expirationDate <= Date.now() ||
+      !isTokenCorrect(recovery, token)
+    ) {
+      throw recoveryError(
+        accountRecoveryErrors.INVALID_LINK,
+        "This recovery link is invalid or has expired, ask for a new one"
+      );
+    }
+    return { user, recovery };
+  }
+
+  async function cancel(req, user, fields = {}) {
+    await store.updateUser(user.username, { accountRecovery: null });
+    await record(req, auditEventTypes.ACCOUNT_RECOVERY_CANCELLED, user, fields);
+  }
+
+  return {
+    /**
+     * Send a recovery link to the user's recovery email. Call this once their password was
+     * checked. A previous request is replaced
+     *
+     * Response: false if the user has no recovery email, or just asked for a link
+     **/
+    async request(req, user) {
+      const previous = user.accountRecovery;
+      if (
+        !user.recoveryEmail ||
+        (previous && Date.now() - previous.requestDate < RESEND_INTERVAL)
+      ) {
+        return false;
+      }
+      const token = base64url.encode(crypto.randomBytes(TOKEN_BYTES));
+      const requestDate = Date.now();
+      await store.updateUser(user.username, {
+        accountRecovery: {
+          tokenHash: hashToken(token),
+          requestDate,
+          expirationDate: requestDate + LINK_TTL,
+          requiresApproval: requireApproval,
+          confirmationDate: null,
+          availableDate: null,
+          approvalDate: null
+        }
+      });
+      await record(req, auditEventTypes.ACCOUNT_RECOVERY_REQUESTED, user);
+      const params = new URLSearchParams({ username: user.username, token });
+      await sendEmail(
+        user,
+        "Recover your account",
+        `Someone asked to recover the account ${
+          user.username
+        }, because its security keys were lost.
+
+If it was you, open this link within ${LINK_TTL / 60000} minutes to continue:
+${origin}/recover?${params}
+
+If it wasn't you, open the link to cancel the request, and contact support: whoever asked knows your password.`
+      );
+      return true;
+    },
+
+    /**
+     * Where the request of a link stands
+     *
+     * Response:
+     * {
+         status: String, // One of accountRecoveryStatuses
+         availableDate: Number, // When it can be completed, null until it's confirmed
+         requiresApproval: Boolean,
+         isApproved: Boolean
+     * }
+     **/
+    async getStatus(username, token) {
+      const { recovery } = await findRequest(username, token);
+      return {
+        status: getRecoveryStatus(recovery),
+        availableDate: recovery.availableDate,
+        requiresApproval: recovery.requiresApproval,
+        isApproved: Boolean(recovery.approvalDate)
+      };
+    },
+
+    // Confirm the request with the link from the email, which starts the waiting period
+    async confirm(req, username, token) {
+      const { user, recovery } = await findRequest(username, token);
+      if (recovery.confirmationDate) {
+        return;
+      }
+      const confirmationDate = Date.now();
+      const availableDate = confirmationDate + waitingHours * 60 * 60 * 1000;
+      await store.updateUser(user.username, {
+        accountRecovery: {
+          ...recovery,
+          confirmationDate,
+          availableDate,
+          expirationDate: availableDate + COMPLETION_TTL
+        }
+      });
+      await record(req, auditEventTypes.ACCOUNT_RECOVERY_CONFIRMED, user);
+      const steps = [
+        waitingHours ? `after ${formatDate(availableDate)}` : "",
+        recovery.requiresApproval ? "once support approved it" : ""
+      ].filter(Boolean);
+      await sendEmail(
+        user,
+        "Account recovery confirmed",
+        `The recovery of your account ${
+          user.username
+        } was confirmed. You can complete it ${
+          steps.length ? steps.join(", ") : "now"
+        }, with the link you got.
+
+If it wasn't you, sign in with a second factor to cancel it, and contact support: whoever did knows your password.`
+      );
+    },
+
+    /**
+     * Remove every second factor of the user and sign them out everywhere, once recovery is
+     * ready. They'll have to register a new security key on their next sign-in
+     **/
+    async complete(req, username, token) {
+      const { user, recovery } = await findRequest(username, token);
+      if (getRecoveryStatus(recovery) !== accountRecoveryStatuses.READY) {
+        throw recoveryError(
+          accountRecoveryErrors.NOT_READY,
+          "This recovery can't be completed yet"
+        );
+      }
+      for (const { credId } of user.credentials) {
+        await store.removeCredential(user.username, credId);
+      }
+      await store.updateUser(user.username, {
+        totp: null,
+        recoveryCodes: [],
+        recoveryCodesCreationDate: null,
+        trustedDevices: [],
+        twoFactorGrace: null,
+        accountRecovery: null,
+        mustEnrollSecurityKey: true
+      });
+      const sessions = await store.findSessions({ username: user.username });
+      for (const { sid } of sessions) {
+        await store.deleteSession(sid);
+      }
+      await record(req, auditEventTypes.ACCOUNT_RECOVERY_COMPLETED, user, {
+        credentialsRemoved: user.credentials.length,
+        totpRemoved: Boolean(user.totp),
+        sessionsRevoked: sessions.length
+      });
+      await sendEmail(
+        user,
+        "Account recovered",
+        `Every second factor of your account ${user.username} was removed, and it was signed out everywhere. Sign in with your password to register a new security key.`
+      );
+    },
+
+    // Cancel the request of a link, e.g. by an owner who didn't ask for it
+    async cancelWithLink(req, username, token) {
+      const { user } = await findRequest(username, token);
+      await cancel(req, user);
+    },
+
+    // Cancel any request of a user who just signed in with a second factor: they don't need it
+    async cancelOnSignIn(req, user) {
+      if (user.accountRecovery) {
+        await cancel(req, user, { signedIn: true });
+      }
+    },
+
+    /**
+     * Confirmed requests awaiting support's approval, oldest first
+     *
+     * Response: [{ username: String, requestDate: Number, confirmationDate: Number }]
+     **/
+    async findPendingApprovals() {
+      const users = await store.findUsers();
+      return users
+        .filter(
+          ({ accountRecovery: recovery }) =>
+            recovery &&
+            recovery.requiresApproval &&
+            recovery.confirmationDate &&
+            !recovery.approvalDate &&
+            recovery.expirationDate > Date.now()
+        )
+        .map(({ username, accountRecovery: recovery }) => ({
+          username,
+          requestDate: recovery.requestDate,
+          confirmationDate: recovery.confirmationDate
+        }))
+        .sort((a, b) => a.confirmationDate - b.confirmationDate);
+    },
+
+    // Let a user complete their recovery, or refuse it. actor: see createAdmin in libs/admin.js
+    async decide(user, isApproved, actor) {
+      const recovery = user.accountRecovery;
+      if (
+        !recovery ||
+        !recovery.requiresApproval ||
+        !recovery.confirmationDate ||
+        recovery.approvalDate ||
+        recovery.expirationDate <= Date.now()
+      ) {
+        throw recoveryError(
+          accountRecoveryErrors.NO_PENDING_APPROVAL,
+          `${user.username} has no account recovery awaiting approval`
+        );
+      }
+      if (isApproved) {
+        const approvalDate = Date.now();
+        await store.updateUser(user.username, {
+          accountRecovery: {
+            ...recovery,
+            approvalDate,
+            expirationDate: Math.max(
+              recovery.expirationDate,
+              approvalDate + COMPLETION_TTL
+            )
+          }
+        });
+      } else {
+        await store.updateUser(user.username, { accountRecovery: null });
+      }
+      await record(
+        null,
+        isApproved
+          ? auditEventTypes.ACCOUNT_RECOVERY_APPROVED
+          : auditEventTypes.ACCOUNT_RECOVERY_DENIED,
+        user,
+        {},
+        actor
+      );
+      await sendEmail(
+        user,
+        isApproved ? "Account recovery approved" : "Account recovery denied",
+        isApproved
+          ? `Support approved the recovery of your account ${user.username}. Complete it with the link you got.`
+          : `Support denied the recovery of your account ${user.username}. Contact them for more information.`
+      );
+    }
+  };
+}
+
+module.exports = {
+  accountRecoveryStatuses,
+  accountRecoveryErrors,
+  getRecoveryStatus,
+  hashToken,
+  isTokenCorrect,
+  createAccountRecovery
+};
@@ -0,0 +1,638 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// The admin area's API, for help-desk staff. Access takes a role (see adminRoles in
+// libs/admin.js) and a WebAuthn credential of its own: staff sign in to their account as usual,
+// then confirm with their admin credential, which can't be used to sign in anywhere else. Their
+// account's credentials can't be used here either.
+
+const fido2 = require("@simplewebauthn/server");
+const { check, validationResult } = require("express-validator");
+const { csrfCheck } = require("./auth");
+const { auditEventTypes, createAuditLog } = require("./audit");
+const { ceremonyTypes, createChallengeStore } = require("./challenges");
+const { createRpConfig, getAllowedOrigin } = require("./rp-config");
+const { getAuthenticatorIcon } = require("./metadata");
+const { accountRecoveryErrors } = require("./account-recovery");
+const { createRouter, sendError } = require("./router");
+const {
+  adminPermissions,
+  hasPermission,
+  adminErrors,
+  createAdmin
+} = require("./admin");
+
+// Error codes telling the client what the staff member must do first
+const adminAccessErrors = Object.freeze({
+  // Sign in again, to register a first admin credential
+  REAUTHENTICATION_REQUIRED: "reauthentication_required",
+  // Confirm with the admin credential
+  ADMIN_AUTHENTICATION_REQUIRED: "admin_authentication_required"
+});
+
+// How recently staff must have signed in to register their first admin credential, in ms
+const ENROLLMENT_WINDOW = 5 * 60 * 1000;
+
+/**
+ * Create the admin area's router, to be mounted by an app that also mounts the authentication
+ * router (see createWebAuthnRouter in libs/auth.js), whose sessions it relies on
+ *
+ * Input:
+ * {
+     store: Object, // See libs/store
+     rp: Object, // See loadRpConfig in libs/rp-config.js
+     sessionMinutes: Number, // How long confirming with the admin credential lasts, default 15
+     mailer: Object, // Optional, tells users about their account recovery, see libs/mailer.js
+     auditLogPath: String // Optional JSON Lines file every audit event is also appended to
+ * }
+ *
+ * Response: the router
+ **/
+function createAdminRouter({
+  store,
+  rp,
+  sessionMinutes = 15,
+  mailer,
+  auditLogPath
+}) {
+  const rpConfig = createRpConfig(rp, "the rp option");
+  const router = createRouter();
+
+  const challengeStore = createChallengeStore({
+    store,
+    ttl: rpConfig.timeouts.challengeSeconds * 1000
+  });
+  const auditLog = createAuditLog({ store, filePath: auditLogPath });
+  const admin = createAdmin({ store, auditLog, mailer });
+
+  // ----------------------------------------------------------------------------
+  // Utils
+  // ----------------------------------------------------------------------------
+
+  function toDescriptor(cred) {
+    return {
+      id: cred.credId,
+      type: "public-key",
+      transports: cred.transports || []
+    };
+  }
+
+  function isAdminSessionActive(req) {
+    const { adminAuthenticationDate } = req.session;
+    return Boolean(
+      adminAuthenticationDate &&
+        Date.now() - adminAuthenticationDate <= sessionMinutes * 60 * 1000
+    );
+  }
+
+  // Who does an action, for the audit log, see createAdmin
+  function getActor(req, reason) {
+    return { admin: req.adminUser.username, reason, req };
+  }
+
+  function recordEvent(req, type, fields = {}) {
+    return auditLog.record(req, type, {
+      userId: req.adminUser.id,
+      username: req.adminUser.username,
+      ...fields
+    });
+  }
+
+  // Keep a ceremony's challenge until the client answers it, see libs/challenges.js
+  async function startCeremony(req, type, challenge) {
+    const ceremonyId = await challengeStore.issue(
+      type,
+      challenge,
+      req.adminUser.username
+    );
+    req.session.ceremonies = { ...req.session.ceremonies, [type]: ceremonyId };
+    return ceremonyId;
+  }
+
+  // Takes the ceremony's challenge into req.expectedChallenge, or responds 400
+  function ceremonyCheck(type) {
+    return async (req, res, next) => {
+      const ceremonies = req.session.ceremonies || {};
+      const ceremonyId = req.body.ceremonyId || ceremonies[type];
+      delete ceremonies[type];
+      try {
+        req.expectedChallenge = await challengeStore.take(
+          type,
+          ceremonyId,
+          req.adminUser.username
+        );
+      } catch (e) {
+        res.status(400).json({ error: e.message, code: e.code });
+        return;
+      }
+      next();
+    };
+  }
+
+  // Admin errors about missing users or credentials are the client's, the others the server's
+  function sendAdminError(res, e) {
+    const isNotFound =
+      e.code === adminErrors.USER_NOT_FOUND ||
+      e.code === adminErrors.CREDENTIAL_NOT_FOUND;
+    const isConflict = e.code === accountRecoveryErrors.NO_PENDING_APPROVAL;
+    res
+      .status(isNotFound ? 404 : isConflict ? 409 : 500)
+      .json({ error: e.message, ...(e.code && { code: e.code }) });
+  }
+
+  // ----------------------------------------------------------------------------
+  // Access checks
+  // ----------------------------------------------------------------------------
+
+  // Lets through signed-in users who have a role, as req.adminUser
+  async function adminUserCheck(req, res, next) {
+    const user =
+      req.session.name === "main" &&
+      (await store.findUserByUsername(req.session.username));
+    if (!user || !user.adminRole) {
+      res.status(403).json({ error: "No access to the admin area" });
+      return;
+    }
+    req.adminUser = user;
+    next();
+  }
+
+  // Use after adminUserCheck: the staff member must have confirmed with their admin credential
+  function adminSessionCheck(req, res, next) {
+    if (!isAdminSessionActive(req)) {
+      res.status(401).json({
+        error: "Confirm with your admin security key to continue",
+        code: adminAccessErrors.ADMIN_AUTHENTICATION_REQUIRED
+      });
+      return;
+    }
+    next();
+  }
+
+  // Use after adminSessionCheck
+  function permissionCheck(permission) {
+    return (req, res, next) => {
+      if (!hasPermission(req.adminUser.adminRole, permission)) {
+        res.status(403).json({ error: "Your role doesn't allow this" });
+        return;
+      }
+      next();
+    };
+  }
+
+  // A first admin credential takes a recent sign-in; more take an admin session, so that someone
+  // who only got hold of the account's session can't add theirs
+  function adminEnrollmentCheck(req, res, next) {
+    if ((req.adminUser.adminCredentials || []).length) {
+      adminSessionCheck(req, res, next);
+      return;
+    }
+    const { lastAuthenticationDate } = req.session;
+    if (
+      !lastAuthenticationDate ||
+      Date.now() - lastAuthenticationDate > ENROLLMENT_WINDOW
+    ) {
+      res.status(401).json({
+        error: "Sign in again to register your admin security key",
+        code: adminAccessErrors.REAUTHENTICATION_REQUIRED
+      });
+      return;
+    }
+    next();
+  }
+
+  // ----------------------------------------------------------------------------
+  // Access
+  // ----------------------------------------------------------------------------
+
+  /**
+   * Where the staff member stands
+   *
+   * Response:
+   * {
+       username: String,
+       role: String, // One of adminRoles
+       permissions: String[], // Some of adminPermissions
+       hasCredential: Boolean, // Whether an admin credential is registered
+       isAuthenticated: Boolean // Whether they confirmed with it recently
+   * }
+   **/
+  router.get("/status", csrfCheck, adminUserCheck, (req, res) => {
+    const { username, adminRole, adminCredentials = [] } = req.adminUser;
+    res.status(200).json({
+      username,
+      role: adminRole,
+      permissions: Object.values(adminPermissions).filter(permission =>
+        hasPermission(adminRole, permission)
+      ),
+      hasCredential: adminCredentials.length > 0,
+      isAuthenticated: isAdminSessionActive(req)
+    });
+  });
+
+  /**
+   * Get options to create an admin credential with navigator.credentials.create()
+   *
+   * Response: as for /auth/credential-options
+   **/
+  router.post(
+    "/credential-options",
+    csrfCheck,
+    adminUserCheck,
+    adminEnrollmentCheck,
+    async (req, res) => {
+      const { id, username, adminCredentials = [] } = req.adminUser;
+      const options = fido2.generateAttestationOptions({
+        rpName: rpConfig.rpName,
+        rpID: rpConfig.rpId,
+        userID: id,
+        userName: username,
+        timeout: rpConfig.timeouts.ceremonySeconds * 1000,
+        attestationType: "direct",
+        excludeCredentials: adminCredentials.map(toDescriptor),
+        authenticatorSelection: {
+          residentKey: "discouraged",
+          requireResidentKey: false,
+          // The admin area is only protected by this credential and the account's sign-in
+          userVerification: "required"
+        },
+        supportedAlgorithmIDs: rpConfig.algorithmIds
+      });
+      const ceremonyId = await startCeremony(
+        req,
+        ceremonyTypes.ADMIN_REGISTRATION,
+        options.challenge
+      );
+      res.status(200).json({ ...options, ceremonyId });
+    }
+  );
+
+  /**
+   * Register an admin credential; it also confirms the staff member's identity for the session
+   *
+   * Input: as for POST /auth/credential
+   **/
+  router.post(
+    "/credential",
+    csrfCheck,
+    adminUserCheck,
+    adminEnrollmentCheck,
+    ceremonyCheck(ceremonyTypes.ADMIN_REGISTRATION),
+    async (req, res) => {
+      const { body, expectedChallenge, adminUser } = req;
+      try {
+        const {
+          verified,
+          authenticatorInfo
+        } = await fido2.verifyAttestationResponse({
+          credential: body,
+          expectedChallenge,
+          expectedOrigin: getAllowedOrigin(rpConfig, body),
+          expectedRPID: rpConfig.rpId,
+          supportedAlgorithmIDs: rpConfig.algorithmIds,
+          requireUserVerification: true
+        });
+        if (!verified) {
+          res.status(400).json({ error: "User verification failed" });
+          return;
+        }
+        const credential = {
+          credId: authenticatorInfo.base64CredentialID,
+          publicKey: authenticatorInfo.base64PublicKey,
+          counter: authenticatorInfo.counter,
+          transports: body.transports || [],
+          creationDate: Date.now()
+        };
+        await store.updateUser(adminUser.username, {
+          adminCredentials: [...(adminUser.adminCredentials || []), credential]
+        });
+        await recordEvent(req, auditEventTypes.ADMIN_CREDENTIAL_REGISTERED, {
+          credId: credential.credId
+        });
+        req.session.adminAuthenticationDate = Date.now();
+        res.status(200).json({ msg: "Admin security key registered" });
+      } catch (e) {
+        res.status(400).json({ error: e.message });
+      }
+    }
+  );
+
+  /**
+   * Get options to confirm with an admin credential with navigator.credentials.get()
+   *
+   * Response: as for /auth/two-factor-options
+   **/
+  router.post(
+    "/authentication-options",
+    csrfCheck,
+    adminUserCheck,
+    async (req, res) => {
+      const { adminCredentials = [] } = req.adminUser;
+      if (!adminCredentials.length) {
+        res.status(400).json({ error: "No admin security key is registered" });
+        return;
+      }
+      const options = fido2.generateAssertionOptions({
+        timeout: rpConfig.timeouts.ceremonySeconds * 1000,
+        rpID: rpConfig.rpId,
+        allowCredentials: adminCredentials.map(toDescriptor),
+        userVerification: "required"
+      });
+      const ceremonyId = await startCeremony(
+        req,
+        ceremonyTypes.ADMIN_AUTHENTICATION,
+        options.challenge
+      );
+      res.status(200).json({ ...options, ceremonyId });
+    }
+  );
+
+  /**
+   * Confirm with an admin credential, which opens the admin area for sessionMinutes
+   *
+   * Input:
+   * req.body:
+   * {
+       credential: Object, // As for /auth/authenticate-two-factor
+       ceremonyId: String // From /authentication-options, optional for clients with cookies
+   * }
+   **/
+  router.post(
+    "/authenticate",
+    csrfCheck,
+    adminUserCheck,
+    ceremonyCheck(ceremonyTypes.ADMIN_AUTHENTICATION),
+    async (req, res) => {
+      const { adminUser, expectedChallenge } = req;
+      const { credential: credentialFromClient } = req.body;
+      const adminCredentials = adminUser.adminCredentials || [];
+      const credentialFromServer = adminCredentials.find(
+        cred => credentialFromClient && cred.credId === credentialFromClient.id
+      );
+      let verification = { verified: false };
+      if (credentialFromServer) {
+        try {
+          verification = fido2.verifyAssertionResponse({
+            credential: credentialFromClient,
+            expectedChallenge,
+            expectedOrigin: getAllowedOrigin(rpConfig, credentialFromClient),
+            expectedRPID: rpConfig.rpId,
+            authenticator: credentialFromServer,
+            fidoUserVerification: "required"
+          });
+        } catch (e) {
+          // A counter that went backwards throws too: a possible clone isn't let in here
+          verification = { verified: false };
+        }
+      }
+      const fields = {
+        credId: credentialFromClient && credentialFromClient.id
+      };
+      if (!verification.verified) {
+        await recordEvent(req, auditEventTypes.ADMIN_AUTHENTICATION, {
+          ...fields,
+          success: false
+        });
+        res.status(401).json({ error: "Confirmation failed" });
+        return;
+      }
+      await store.updateUser(adminUser.username, {
+        adminCredentials: adminCredentials.map(cred =>
+          cred === credentialFromServer
+            ? {
+                ...cred,
+                counter: verification.authenticatorInfo.counter,
+                lastUsedDate: Date.now()
+              }
+            : cred
+        )
+      });
+      await recordEvent(req, auditEventTypes.ADMIN_AUTHENTICATION, fields);
+      req.session.adminAuthenticationDate = Date.now();
+      res.status(200).json({ msg: "Identity confirmed" });
+    }
+  );
+
+  // ----------------------------------------------------------------------------
+  // Users
+  // ----------------------------------------------------------------------------
+
+  /**
+   * Find users by username
+   *
+   * Input:
+   * req.query:
+   * {
+       search: String // Part of the username, case doesn't matter; every user if empty
+   * }
+   *
+   * Response:
+   * {
+       users: Object[] // See findUsers in libs/admin.js
+   * }
+   **/
+  router.get(
+    "/users",
+    csrfCheck,
+    adminUserCheck,
+    adminSessionCheck,
+    permissionCheck(adminPermissions.VIEW_USERS),
+    async (req, res) => {
+      const users = await admin.findUsers(
+        { query: String(req.query.search || ""), limit: 50 },
+        getActor(req)
+      );
+      res.status(200).json({ users });
+    }
+  );
+
+  /**
+   * A user, with their credentials' metadata and their sessions
+   *
+   * Input:
+   * req.query:
+   * {
+       username: String
+   * }
+   *
+   * Response: see getUser in libs/admin.js, with in addition each credential's icon
+   **/
+  router.get(
+    "/user",
+    csrfCheck,
+    adminUserCheck,
+    adminSessionCheck,
+    permissionCheck(adminPermissions.VIEW_USERS),
+    async (req, res) => {
+      try {
+        const user = await admin.getUser(
+          String(req.query.username || ""),
+          getActor(req)
+        );
+        res.status(200).json({
+          ...user,
+          credentials: user.credentials.map(cred => ({
+            ...cred,
+            icon: getAuthenticatorIcon(cred.aaguid)
+          }))
+        });
+      } catch (e) {
+        sendAdminError(res, e);
+      }
+    }
+  );
+
+  /**
+   * Remove every second factor of a user who lost them, see resetTwoFactor in libs/admin.js
+   *
+   * Input:
+   * req.body:
+   * {
+       username: String,
+       reason: String // Required, e.g. how the user's identity was checked
+   * }
+   **/
+  router.post(
+    "/reset-two-factor",
+    csrfCheck,
+    adminUserCheck,
+    adminSessionCheck,
+    permissionCheck(adminPermissions.RESET_TWO_FACTOR),
+    check("username")
+      .isString()
+      .notEmpty(),
+    check("reason")
+      .isString()
+      .trim()
+      .notEmpty(),
+    async (req, res) => {
+      if (!validationResult(req).isEmpty()) {
+        res.status(400).json({ error: "A username and a reason are required" });
+        return;
+      }
+      const { username, reason } = req.body;
+      try {
+        await admin.resetTwoFactor(username, getActor(req, reason));
+        res.status(200).json({
+          msg: `Two-factor authentication of ${username} was reset`
+        });
+      } catch (e) {
+        sendAdminError(res, e);
+      }
+    }
+  );
+
+  // ----------------------------------------------------------------------------
+  // Account recovery
+  // ----------------------------------------------------------------------------
+
+  /**
+   * Account recoveries awaiting approval, see libs/account-recovery.js
+   *
+   * Response:
+   * {
+       recoveries: [{ username: String, requestDate: Number, confirmationDate: Number }]
+   * }
+   **/
+  router.get(
+    "/account-recoveries",
+    csrfCheck,
+    adminUserCheck,
+    adminSessionCheck,
+    permissionCheck(adminPermissions.APPROVE_ACCOUNT_RECOVERY),
+    async (req, res) => {
+      const recoveries = await admin.findPendingRecoveries(getActor(req));
+      res.status(200).json({ recoveries });
+    }
+  );
+
+  /**
+   * Let a user complete their account recovery, or refuse it
+   *
+   * Input:
+   * req.body:
+   * {
+       username: String,
+       isApproved: Boolean,
+       reason: String // Required, e.g. how the user's identity was checked
+   * }
+   **/
+  router.post(
+    "/account-recovery-decision",
+    csrfCheck,
+    adminUserCheck,
+    adminSessionCheck,
+    permissionCheck(adminPermissions.APPROVE_ACCOUNT_RECOVERY),
+    check("username")
+      .isString()
+      .notEmpty(),
+    check("isApproved").custom(value => typeof value === "boolean"),
+    check("reason")
+      .isString()
+      .trim()
+      .notEmpty(),
+    async (req, res) => {
+      if (!validationResult(req).isEmpty()) {
+        res.status(400).json({
+          error: "A username, a decision and a reason are required"
+        });
+        return;
+      }
+      const { username, isApproved, reason } = req.body;
+      try {
+        await (isApproved ? admin.approveRecovery : admin.denyRecovery)(
+          username,
+          getActor(req, reason)
+        );
+        res.status(200).json({
+          msg: `Account recovery of ${username} ${
+            isApproved ? "approved" : "denied"
+          }`
+        });
+      } catch (e) {
+        sendAdminError(res, e);
+      }
+    }
+  );
+
+  // ----------------------------------------------------------------------------
+  // Statistics
+  // ----------------------------------------------------------------------------
+
+  /**
+   * Response: see getStats in libs/admin.js
+   **/
+  router.get(
+    "/stats",
+    csrfCheck,
+    adminUserCheck,
+    adminSessionCheck,
+    permissionCheck(adminPermissions.VIEW_STATS),
+    async (req, res) => {
+      res.status(200).json(await admin.getStats(getActor(req)));
+    }
+  );
+
+  router.use(sendError);
+
+  return router;
+}
+
+module.exports = {
+  adminAccessErrors,
+  createAdminRouter
+};
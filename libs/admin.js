@@ -0,0 +1,578 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// Account administration for support staff, used by the command line tool (bin/admin.js) and the
+// admin area (libs/admin-router.js). Every action is recorded in the audit log, together with who
+// did it and why.
+
+const { auditEventTypes } = require("./audit");
+const { getPublicKeyAlgorithm } = require("./cose");
+const {
+  getRecoveryStatus,
+  createAccountRecovery
+} = require("./account-recovery");
+const { createPasswordReset } = require("./password-reset");
+
+// Roles of the staff using the admin area, granted with bin/admin.js. They're kept on the user as
+// `adminRole`, next to their own credentials for the admin area (see libs/admin-router.js)
+const adminRoles = Object.freeze({
+  // Can look at accounts and statistics
+  VIEWER: "viewer",
+  // Can also reset two-factor authentication for users who lost their second factors, and approve
+  // their account recovery
+  HELPDESK: "helpdesk"
+});
+
+// What each role is allowed to do in the admin area
+const adminPermissions = Object.freeze({
+  VIEW_USERS: "view_users",
+  VIEW_STATS: "view_stats",
+  RESET_TWO_FACTOR: "reset_two_factor",
+  APPROVE_ACCOUNT_RECOVERY: "approve_account_recovery"
+});
+
+const rolePermissions = Object.freeze({
+  [adminRoles.VIEWER]: [
+    adminPermissions.VIEW_USERS,
+    adminPermissions.VIEW_STATS
+  ],
+  [adminRoles.HELPDESK]: Object.values(adminPermissions)
+});
+
+// Administration that doesn't change a single account, recorded as `action` in ADMIN_ACTION events
+const adminActions = Object.freeze({
+  FIND_USERS: "find_users",
+  VIEW_USER: "view_user",
+  VIEW_STATS: "view_stats",
+  FIND_ACCOUNT_RECOVERIES: "find_account_recoveries",
+  EXPORT_USERS: "export_users",
+  IMPORT_USERS: "import_users",
+  PRUNE: "prune"
+});
+
+// Machine-readable reasons for refusing an action, as `code` of the thrown errors
+const adminErrors = Object.freeze({
+  USER_NOT_FOUND: "user_not_found",
+  CREDENTIAL_NOT_FOUND: "credential_not_found",
+  INVALID_EXPORT: "invalid_export",
+  INVALID_ROLE: "invalid_role"
+});
+
+// Version of the format written by exportUsers, checked by importUsers
+const EXPORT_VERSION = 1;
+
+// ----------------------------------------------------------------------------
+// Utils
+// ----------------------------------------------------------------------------
+
+function adminError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Unknown roles, e.g. left over from an older version, have no permission
+function hasPermission(role, permission) {
+  return Boolean(
+    role &&
+      Object.prototype.hasOwnProperty.call(rolePermissions, role) &&
+      rolePermissions[role].includes(permission)
+  );
+}
+
+// What support staff see of a credential: its metadata, but not its public key
+function getCredentialSummary(cred) {
+  return {
+    credId: cred.credId,
+    name: cred.name,
+    authenticatorName: cred.authenticatorName,
+    aaguid: cred.aaguid,
+    attestationVerified: Boolean(cred.attestationVerified),
+    algorithm: getPublicKeyAlgorithm(cred.publicKey),
+    transports: cred.transports || [],
+    isResidentKey: cred.isResidentKey,
+    creationDate: cred.creationDate,
+    lastUsedDate: cred.lastUsedDate,
+    useCount: cred.useCount || 0,
+    cloneDetectionDate: cred.cloneDetectionDate
+  };
+}
+
+// What support staff see of a user: no password hash, TOTP secret nor recovery codes
+function getUserSummary(user) {
+  const { username, id, credentials, totp, recoveryCodes = [] } = user;
+  return {
+    username,
+    id,
+    credentials: credentials.map(getCredentialSummary),
+    hasTotp: Boolean(totp),
+    recoveryCodesLeft: recoveryCodes.length,
+    adminRole: user.adminRole || null,
+    recoveryEmail: user.recoveryEmail || null,
+    accountRecoveryStatus: user.accountRecovery
+      ? getRecoveryStatus(user.accountRecovery)
+      : null,
+    trustedDevicesCount: (user.trustedDevices || []).filter(
+      device => device.expirationDate > Date.now()
+    ).length
+  };
+}
+
+// Problems with a user of an export, see importUsers
+function getImportedUserProblem(user) {
+  if (!user || typeof user.username !== "string" || !user.username) {
+    return "no username";
+  }
+  if (typeof user.id !== "string" || !user.id) {
+    return "no id";
+  }
+  if (
+    !Array.isArray(user.credentials) ||
+    !user.credentials.every(cred => cred && cred.credId && cred.publicKey)
+  ) {
+    return "invalid credentials";
+  }
+  // Roles grant access to the admin area, so they're only taken as they are given by setAdminRole
+  if (
+    user.adminRole !== undefined &&
+    user.adminRole !== null &&
+    !Object.values(adminRoles).includes(user.adminRole)
+  ) {
+    return "invalid admin role";
+  }
+  const adminCredentials = user.adminCredentials || [];
+  if (
+    !Array.isArray(adminCredentials) ||
+    !adminCredentials.every(cred => cred && cred.credId && cred.publicKey)
+  ) {
+    return "invalid admin credentials";
+  }
+  if (adminCredentials.length && !user.adminRole) {
+    return "admin credentials without a role";
+  }
+  return null;
+}
+
+// IDs of the user's credentials, those of the admin area included
+function getCredentialIds(user) {
+  return [...user.credentials, ...(user.adminCredentials || [])].map(
+    ({ credId }) => credId
+  );
+}
+
+// Whether one of the user's credentials is among takenCredentialIds, or repeated
+function hasTakenCredential(user, takenCredentialIds) {
+  const credentialIds = getCredentialIds(user);
+  return credentialIds.some(
+    (credId, i) =>
+      takenCredentialIds.has(credId) || credentialIds.indexOf(credId) !== i
+  );
+}
+
+// ----------------------------------------------------------------------------
+// Actions
+// ----------------------------------------------------------------------------
+
+/**
+ * Create the administration actions on top of a store (see libs/store), an audit log (see
+ * libs/audit.js) and optionally a mailer to tell users about their account recovery (see
+ * libs/mailer.js)
+ *
+ * Each action takes who does it last, recorded with the events:
+ * actor:
+ * {
+     admin: String, // E.g. the system username of whoever runs bin/admin.js
+     reason: String, // Optional, e.g. a support ticket
+     req: Object // The request, if the action comes from the web, null otherwise
+ * }
+ *
+ * Actions on a missing user or credential throw an Error with one of adminErrors as `code`
+ **/
+function createAdmin({ store, auditLog, mailer }) {
+  const accountRecovery = createAccountRecovery({ store, auditLog, mailer });
+  const passwordReset = createPasswordReset({ store, auditLog });
+
+  function record(actor, type, user, fields = {}) {
+    return auditLog.record(actor.req || null, type, {
+      userId: user ? user.id : null,
+      username: user ? user.username : undefined,
+      admin: actor.admin,
+      ...(actor.reason && { reason: actor.reason }),
+      ...fields
+    });
+  }
+
+  async function findUser(username) {
+    const user = await store.findUserByUsername(username);
+    if (!user) {
+      throw adminError(
+        adminErrors.USER_NOT_FOUND,
+        `User "${username}" not found`
+      );
+    }
+    return user;
+  }
+
+  async function findActiveSessions(username) {
+    const sessions = await store.findSessions({ username });
+    return sessions.filter(({ expires }) => expires > Date.now());
+  }
+
+  // Sign out of some of a user's sessions
+  async function revokeSessions(actor, user, sessions) {
+    for (const { sid } of sessions) {
+      await store.deleteSession(sid);
+    }
+    if (sessions.length) {
+      await record(actor, auditEventTypes.SESSIONS_REVOKED, user, {
+        count: sessions.length
+      });
+    }
+    return sessions.length;
+  }
+
+  return {
+    /**
+     * Users whose username contains query, by username
+     *
+     * Response: users as in getUser, without sessions
+     **/
+    async findUsers({ query = "", limit } = {}, actor) {
+      const users = await store.findUsers({ query, limit });
+      // Reading accounts doesn't show in their activity, only in the audit log
+      await record(actor, auditEventTypes.ADMIN_ACTION, null, {
+        action: adminActions.FIND_USERS,
+        query,
+        count: users.length
+      });
+      return users.map(getUserSummary);
+    },
+
+    /**
+     * Response:
+     * {
+         username: String,
+         id: String,
+         credentials: [{ credId, name, authenticatorName, aaguid, attestationVerified, algorithm,
+                         transports, isResidentKey, creationDate, lastUsedDate, useCount,
+                         cloneDetectionDate }],
+         hasTotp: Boolean,
+         recoveryCodesLeft: Number,
+         adminRole: String, // One of adminRoles, or null
+         recoveryEmail: String,
+         accountRecoveryStatus: String, // One of accountRecoveryStatuses, null without a request
+         trustedDevicesCount: Number,
+         sessions: [{ creationDate, lastSeenDate, ip, userAgent }] // Active ones
+     * }
+     **/
+    async getUser(username, actor) {
+      const user = await findUser(username);
+      const sessions = await findActiveSessions(username);
+      await record(actor, auditEventTypes.ADMIN_ACTION, null, {
+        action: adminActions.VIEW_USER,
+        username
+      });
+      return {
+        ...getUserSummary(user),
+        sessions: sessions.map(({ data }) => ({
+          creationDate: data.creationDate,
+          lastSeenDate: data.lastSeenDate,
+          ip: data.ip,
+          userAgent: data.userAgent
+        }))
+      };
+    },
+
+    /**
+     * Remove a credential, e.g. a lost security key, and sign out of the sessions signed in with
+     * it. Trusted browsers ask for the second factor again. Unlike users, support staff can remove
+     * the last second factor
+     **/
+    async revokeCredential(username, credId, actor) {
+      const user = await findUser(username);
+      const credential = user.credentials.find(cred => cred.credId === credId);
+      if (!credential) {
+        throw adminError(
+          adminErrors.CREDENTIAL_NOT_FOUND,
+          `User "${username}" has no credential "${credId}"`
+        );
+      }
+      await store.removeCredential(username, credId);
+      await store.updateUser(username, { trustedDevices: [] });
+      await record(actor, auditEventTypes.CREDENTIAL_REMOVED, user, {
+        credId,
+        credentialName: credential.name
+      });
+      const sessions = await findActiveSessions(username);
+      await revokeSessions(
+        actor,
+        user,
+        sessions.filter(({ data }) => data.credId === credId)
+      );
+      return getCredentialSummary(credential);
+    },
+
+    /**
+     * Remove every second factor of a user who lost them: credentials, the authenticator app,
+     * recovery codes and trusted browsers. Their sessions are signed out, in case the second
+     * factor was stolen rather than lost. If two-factor authentication is required, a new grace
+     * period starts with their next sign-in
+     **/
+    async resetTwoFactor(username, actor) {
+      const user = await findUser(username);
+      for (const { credId } of user.credentials) {
+        await store.removeCredential(username, credId);
+      }
+      await store.updateUser(username, {
+        totp: null,
+        recoveryCodes: [],
+        recoveryCodesCreationDate: null,
+        trustedDevices: [],
+        twoFactorGrace: null
+      });
+      await record(actor, auditEventTypes.TWO_FACTOR_RESET, user, {
+        credentialsRemoved: user.credentials.length,
+        totpRemoved: Boolean(user.totp)
+      });
+      await revokeSessions(actor, user, await findActiveSessions(username));
+    },
+
+    /**
+     * Issue a one-time link for a user to set their password, e.g. an account created before
+     * passwords were checked, which has none. Check who the user is before handing it over: it
+     * stands in for the password. See libs/password-reset.js
+     *
+     * Response: { token: String, expirationDate: Number }
+     **/
+    async resetPassword(username, actor) {
+      return passwordReset.issue(await findUser(username), actor);
+    },
+
+    /**
+     * Account recoveries awaiting approval, see libs/account-recovery.js
+     *
+     * Response: [{ username: String, requestDate: Number, confirmationDate: Number }]
+     **/
+    async findPendingRecoveries(actor) {
+      const recoveries = await accountRecovery.findPendingApprovals();
+      await record(actor, auditEventTypes.ADMIN_ACTION, null, {
+        action: adminActions.FIND_ACCOUNT_RECOVERIES,
+        count: recoveries.length
+      });
+      return recoveries;
+    },
+
+    // Let a user complete their account recovery, or refuse it; the user is told by email
+    async approveRecovery(username, actor) {
+      await accountRecovery.decide(await findUser(username), true, actor);
+    },
+
+    async denyRecovery(username, actor) {
+      await accountRecovery.decide(await findUser(username), false, actor);
+    },
+
+    // Sign out of all of a user's sessions. Response: how many there were
+    async signOut(username, actor) {
+      const user = await findUser(username);
+      return revokeSessions(actor, user, await findActiveSessions(username));
+    },
+
+    /**
+     * Aggregate statistics, for the admin area
+     *
+     * Response:
+     * {
+         usersCount: Number,
+         twoFactorUsersCount: Number, // With a credential or an authenticator app
+         twoFactorShare: Number, // Between 0 and 1
+         totpUsersCount: Number,
+         credentialsCount: Number,
+         credentialsByModel: [{ // Most common first
+           aaguid: String, // null for U2F authenticators and anonymized attestations
+           authenticatorName: String, // null if the model isn't in the metadata
+           count: Number
+         }]
+     * }
+     **/
+    async getStats(actor) {
+      const users = await store.findUsers();
+      const credentials = users.flatMap(user => user.credentials);
+      const models = new Map();
+      for (const { aaguid = null, authenticatorName = null } of credentials) {
+        const model = models.get(aaguid) || {
+          aaguid,
+          authenticatorName,
+          count: 0
+        };
+        model.count++;
+        models.set(aaguid, model);
+      }
+      const twoFactorUsersCount = users.filter(
+        user => user.credentials.length > 0 || user.totp
+      ).length;
+      await record(actor, auditEventTypes.ADMIN_ACTION, null, {
+        action: adminActions.VIEW_STATS
+      });
+      return {
+        usersCount: users.length,
+        twoFactorUsersCount,
+        twoFactorShare: users.length ? twoFactorUsersCount / users.length : 0,
+        totpUsersCount: users.filter(user => user.totp).length,
+        credentialsCount: credentials.length,
+        credentialsByModel: [...models.values()].sort(
+          (a, b) => b.count - a.count
+        )
+      };
+    },
+
+    /**
+     * Grant a role in the admin area (one of adminRoles), or take it back with null. Taking it
+     * back also removes the user's credentials for the admin area
+     **/
+    async setAdminRole(username, role, actor) {
+      if (role !== null && !Object.values(adminRoles).includes(role)) {
+        throw adminError(
+          adminErrors.INVALID_ROLE,
+          `Unknown role "${role}", expected one of ${Object.values(
+            adminRoles
+          ).join(", ")}`
+        );
+      }
+      const user = await findUser(username);
+      await store.updateUser(username, {
+        adminRole: role,
+        ...(role === null && { adminCredentials: [] })
+      });
+      await record(actor, auditEventTypes.ADMIN_ROLE_CHANGED, user, {
+        role,
+        previousRole: user.adminRole || null
+      });
+    },
+
+    /**
+     * Every user as stored, secrets included, e.g. to move them to another store
+     *
+     * Response:
+     * {
+         version: Number,
+         exportDate: Number,
+         users: Object[] // With their credentials
+     * }
+     **/
+    async exportUsers(actor) {
+      const users = await store.findUsers();
+      await record(actor, auditEventTypes.ADMIN_ACTION, null, {
+        action: adminActions.EXPORT_USERS,
+        count: users.length
+      });
+      return { version: EXPORT_VERSION, exportDate: Date.now(), users };
+    },
+
+    /**
+     * Add the users of an export (see exportUsers). Users whose username, ID or one of whose
+     * credential IDs is taken are skipped rather than overwritten, as are invalid ones. Imported admin roles are recorded as
+     * if they were granted
+     *
+     * Response:
+     * {
+         imported: String[], // Usernames
+         skipped: [{ username: String, reason: String }]
+     * }
+     **/
+    async importUsers(data, actor) {
+      if (
+        !data ||
+        data.version !== EXPORT_VERSION ||
+        !Array.isArray(data.users)
+      ) {
+        throw adminError(
+          adminErrors.INVALID_EXPORT,
+          `Not an export of version ${EXPORT_VERSION}`
+        );
+      }
+      const imported = [];
+      const skipped = [];
+      // A credential belongs to one user, or signing in with it would be ambiguous
+      const takenCredentialIds = new Set(
+        (await store.findUsers()).flatMap(getCredentialIds)
+      );
+      for (const user of data.users) {
+        const username = user && user.username;
+        const problem =
+          getImportedUserProblem(user) ||
+          ((await store.findUserByUsername(username)) && "username taken") ||
+          ((await store.findUserById(user.id)) && "id taken") ||
+          (hasTakenCredential(user, takenCredentialIds) && "credential taken");
+        if (problem) {
+          skipped.push({ username, reason: problem });
+          continue;
+        }
+        try {
+          await store.createUser(user);
+          getCredentialIds(user).forEach(credId =>
+            takenCredentialIds.add(credId)
+          );
+          imported.push(username);
+          if (user.adminRole) {
+            await record(actor, auditEventTypes.ADMIN_ROLE_CHANGED, user, {
+              role: user.adminRole,
+              previousRole: null
+            });
+          }
+        } catch (e) {
+          // E.g. the store refusing it
+          skipped.push({ username, reason: e.message });
+        }
+      }
+      await record(actor, auditEventTypes.ADMIN_ACTION, null, {
+        action: adminActions.IMPORT_USERS,
+        count: imported.length,
+        skippedCount: skipped.length
+      });
+      return { imported, skipped };
+    },
+
+    /**
+     * Remove expired challenges and sessions, which are otherwise only removed when they're used
+     *
+     * Input: what to prune, { challenges: Boolean, sessions: Boolean }
+     *
+     * Response: how many were removed, { challenges: Number, sessions: Number }
+     **/
+    async prune({ challenges = true, sessions = true }, actor) {
+      const now = Date.now();
+      const removed = {
+        challenges: challenges ? await store.pruneChallenges(now) : 0,
+        sessions: sessions ? await store.pruneSessions(now) : 0
+      };
+      await record(actor, auditEventTypes.ADMIN_ACTION, null, {
+        action: adminActions.PRUNE,
+        ...removed
+      });
+      return removed;
+    }
+  };
+}
+
+module.exports = {
+  adminRoles,
+  adminPermissions,
+  hasPermission,
+  adminActions,
+  adminErrors,
+  createAdmin
+};
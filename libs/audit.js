@@ -0,0 +1,155 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// Append-only log of security events. Events are kept in the store, for the account page, and
+// can also be appended to a JSON Lines file, one event per line, to be shipped to a SIEM.
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+// The store only keeps this many of the latest events, so that failed attempts, which anyone can
+// make, can't fill it. The file keeps them all
+const MAX_STORED_EVENTS = 10000;
+// How often the oldest events are removed from the store, at most
+const PRUNE_INTERVAL = 60 * 1000;
+
+// What happened
+const auditEventTypes = Object.freeze({
+  SIGN_UP: "sign_up",
+  // Password check, the first step of the sign-in
+  PASSWORD: "password",
+  SECOND_FACTOR: "second_factor",
+  // Sign-in with a passkey, without password
+  PASSKEY: "passkey",
+  // The sign-in is complete
+  SIGN_IN: "sign_in",
+  // Identity confirmed again before a sensitive operation
+  REAUTHENTICATION: "reauthentication",
+  // An attempt was refused because of too many failures, see libs/throttle.js
+  THROTTLED: "throttled",
+  SIGN_OUT: "sign_out",
+  // Other sessions were ended remotely
+  SESSIONS_REVOKED: "sessions_revoked",
+  // A browser was trusted to skip the second factor, see "Trusted devices" in libs/auth.js
+  TRUSTED_DEVICE_ADDED: "trusted_device_added",
+  TRUSTED_DEVICES_REVOKED: "trusted_devices_revoked",
+  CREDENTIAL_REGISTERED: "credential_registered",
+  CREDENTIAL_RENAMED: "credential_renamed",
+  CREDENTIAL_REMOVED: "credential_removed",
+  TOTP_ENROLLED: "totp_enrolled",
+  TOTP_REMOVED: "totp_removed",
+  RECOVERY_CODES_GENERATED: "recovery_codes_generated",
+  // Every second factor was removed at once, on purpose
+  TWO_FACTOR_DISABLED: "two_factor_disabled",
+  // Every second factor was removed by an administrator, e.g. for a user who lost them
+  TWO_FACTOR_RESET: "two_factor_reset",
+  // Where account recovery emails are sent, see libs/account-recovery.js
+  RECOVERY_EMAIL_CHANGED: "recovery_email_changed",
+  ACCOUNT_RECOVERY_REQUESTED: "account_recovery_requested",
+  ACCOUNT_RECOVERY_CONFIRMED: "account_recovery_confirmed",
+  ACCOUNT_RECOVERY_APPROVED: "account_recovery_approved",
+  ACCOUNT_RECOVERY_DENIED: "account_recovery_denied",
+  ACCOUNT_RECOVERY_CANCELLED: "account_recovery_cancelled",
+  // Every second factor was removed by the user's own recovery
+  ACCOUNT_RECOVERY_COMPLETED: "account_recovery_completed",
+  // A link to set the password was issued by support, see libs/password-reset.js
+  PASSWORD_RESET_ISSUED: "password_reset_issued",
+  PASSWORD_RESET: "password_reset",
+  // Administration that doesn't change a single account, e.g. listing users, see bin/admin.js
+  ADMIN_ACTION: "admin_action",
+  // The admin area, see libs/admin-router.js
+  ADMIN_ROLE_CHANGED: "admin_role_changed",
+  ADMIN_CREDENTIAL_REGISTERED: "admin_credential_registered",
+  ADMIN_AUTHENTICATION: "admin_authentication"
+});
+
+/**
+ * Create an audit log
+ *
+ * Input:
+ * {
+     store: Object, // See libs/store
+     filePath: String, // JSON Lines file the events are appended to, none if empty
+     maxStoredEvents: Number // How many of the latest events the store keeps, default 10000
+ * }
+ **/
+function createAuditLog({
+  store,
+  filePath,
+  maxStoredEvents = MAX_STORED_EVENTS
+}) {
+  let lastPruneDate = 0;
+  return {
+    /**
+     * Record an event. Failing to do so is logged, but doesn't fail the request
+     *
+     * Input:
+     * req: the request that caused the event, null for administration tools
+     * type: one of auditEventTypes
+     * fields:
+     * {
+         userId: String, // null if the username doesn't match any user
+         username: String,
+         success: Boolean, // Defaults to true
+         credId: String, // The credential involved, if any
+         credentialName: String,
+         method: String, // One of secondFactorMethods or reauthenticationMethods
+         admin: String, // Set if an administrator did it, e.g. their system username
+         ...
+     * }
+     **/
+    async record(req, type, fields = {}) {
+      const event = {
+        id: crypto.randomUUID(),
+        date: Date.now(),
+        type,
+        success: true,
+        ip: req ? req.ip : null,
+        userAgent: req ? req.get("User-Agent") || "" : "",
+        ...fields
+      };
+      try {
+        await store.addEvent(event);
+        if (event.date - lastPruneDate >= PRUNE_INTERVAL) {
+          lastPruneDate = event.date;
+          await store.pruneEvents(maxStoredEvents);
+        }
+        if (filePath) {
+          await fs.promises.appendFile(filePath, toJsonLines([event]));
+        }
+      } catch (e) {
+        console.error(`Recording audit event ${type} failed: ${e.message}`);
+      }
+    },
+
+    // A user's events, newest first
+    findUserEvents(userId, limit) {
+      return store.findEvents({ userId, limit });
+    }
+  };
+}
+
+// One JSON object per line, see https://jsonlines.org/
+function toJsonLines(events) {
+  return events.map(event => `${JSON.stringify(event)}\n`).join("");
+}
+
+module.exports = {
+  auditEventTypes,
+  createAuditLog,
+  toJsonLines
+};
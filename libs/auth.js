@@ -15,45 +15,148 @@
  * limitations under the License
  */
 
-const express = require("express");
-const router = express.Router();
 const crypto = require("crypto");
 const fido2 = require("@simplewebauthn/server");
 const base64url = require("base64url");
-const fs = require("fs");
-const low = require("lowdb");
 const { check, validationResult } = require("express-validator");
-
-if (!fs.existsSync("./.data")) {
-  fs.mkdirSync("./.data");
-}
-
-const FileSync = require("lowdb/adapters/FileSync");
-const adapter = new FileSync(".data/db.json");
-const db = low(adapter);
-
-router.use(express.json());
-
-db.defaults({
-  users: []
-}).write();
+const { hashPassword, verifyPassword, needsRehash } = require("./password");
+const {
+  CERTIFICATION_LEVELS,
+  getAuthenticatorIcon,
+  identifyAuthenticator
+} = require("./metadata");
+const { checkRegistrationPolicy } = require("./registration-policy");
+const { generateRecoveryCodes, findRecoveryCode } = require("./recovery-codes");
+const { generateTotpSecret, getTotpUri, verifyTotp } = require("./totp");
+const QRCode = require("qrcode");
+const { getPublicKeyAlgorithm } = require("./cose");
+const { getRetryAfter, addFailure, removeFailure } = require("./throttle");
+const { auditEventTypes, createAuditLog, toJsonLines } = require("./audit");
+const { ceremonyTypes, createChallengeStore } = require("./challenges");
+const { createRpConfig, getAllowedOrigin } = require("./rp-config");
+const {
+  accountRecoveryErrors,
+  createAccountRecovery
+} = require("./account-recovery");
+const {
+  passwordResetErrors,
+  createPasswordReset
+} = require("./password-reset");
+const { notificationTypes } = require("./notifier");
+const { createRouter, sendError } = require("./router");
 
 // ----------------------------------------------------------------------------
 // Configuration
 // ----------------------------------------------------------------------------
 
-// WebAuthn settings
-const authSettings = Object.freeze({
-  RP_NAME: "bahnid-webauthn-codelab",
-  RP_ID: (process.env.NODE_ENV === 'development') ? "localhost" : process.env.HOSTNAME,
-  FIDO_TIMEOUT: 30 * 1000 * 60,
-  // Use "cross-platform" for roaming keys
-  AUTHENTICATOR_ATTACHEMENT: "cross-platform",
-  RESIDENT_KEY: "preferred",
-  REQUIRE_RESIDENT_KEY: false,
-  USER_VERIFICATION: "preferred"
+// Reactions to a possibly cloned authenticator
+const clonePolicies = Object.freeze({
+  // Refuse the assertion
+  REJECT: "reject",
+  // Accept the assertion, but mark the credential so that the user sees it on the account page
+  FLAG: "flag",
+  // Accept the assertion and only log it
+  LOG: "log"
+});
+
+// Policy applied when createWebAuthnRouter's policy option leaves something out
+const defaultPolicy = Object.freeze({
+  // Which authenticators may be registered, see checkRegistrationPolicy
+  registration: Object.freeze({
+    allowedAaguids: [],
+    blockedAaguids: [],
+    minCertificationLevel: "",
+    requireUserVerification: false
+  }),
+  // What to do when a credential's signature counter goes backwards: one of clonePolicies
+  clonePolicy: clonePolicies.FLAG,
+  // How long after signing in or re-authenticating sensitive operations are allowed
+  reauthenticationMinutes: 5,
+  // Whether every user must set up two-factor authentication, see getTwoFactorGrace. Users who
+  // have can't go back to signing in with their password only, see POST /disable-two-factor
+  requireTwoFactor: false,
+  // How long users can keep signing in without setting it up: this many sign-ins or days,
+  // whichever ends first. 0 for no limit of that kind; with both at 0, there's no grace period
+  twoFactorGraceSignIns: 0,
+  twoFactorGraceDays: 0,
+  // How long a browser trusted by the user skips the second factor, 0 to never offer it
+  trustedDeviceDays: 30,
+  // Lock the account after this many failed second factors in a row, 0 to never lock it
+  secondFactorLockout: Object.freeze({ threshold: 10, minutes: 15 }),
+  // Notify the user after this many failed second factors in a row, 0 to never notify them. Only
+  // with a notifier, like every notification
+  notifyAfterSecondFactorFailures: 3,
+  // Account recovery, when a mailer is given, see createAccountRecovery in libs/account-recovery.js
+  accountRecovery: Object.freeze({ waitingHours: 0, requireApproval: false })
 });
 
+// Throttling of failed attempts per throttled step, by account and by IP address, see
+// libs/throttle.js. Addresses get more attempts, since several users can share one.
+function getThrottlingRules(secondFactorLockout) {
+  const ipRule = {
+    freeAttempts: 50,
+    baseDelay: 1000,
+    maxDelay: 15 * 60 * 1000,
+    lockoutThreshold: 0,
+    resetAfter: 60 * 60 * 1000
+  };
+  return Object.freeze({
+    "sign-in": Object.freeze({
+      account: {
+        freeAttempts: 5,
+        baseDelay: 1000,
+        maxDelay: 15 * 60 * 1000,
+        lockoutThreshold: 0,
+        resetAfter: 60 * 60 * 1000
+      },
+      ip: ipRule
+    }),
+    // The password is known at this step: lock the account after repeated failures
+    "second-factor": Object.freeze({
+      account: {
+        freeAttempts: 3,
+        baseDelay: 1000,
+        maxDelay: 15 * 60 * 1000,
+        lockoutThreshold: secondFactorLockout.threshold,
+        lockoutDuration: secondFactorLockout.minutes * 60 * 1000,
+        resetAfter: 60 * 60 * 1000
+      },
+      ip: ipRule
+    }),
+    // Passkeys are found by their ID, there's no account to count failures against beforehand
+    passwordless: Object.freeze({ ip: ipRule })
+  });
+}
+
+// Throws, so that the router isn't created, if the policy can't be applied
+function validatePolicy({
+  registration,
+  clonePolicy,
+  notifyAfterSecondFactorFailures,
+  accountRecovery
+}) {
+  const { minCertificationLevel } = registration;
+  if (
+    minCertificationLevel &&
+    !CERTIFICATION_LEVELS.includes(minCertificationLevel)
+  ) {
+    throw new Error(
+      `minCertificationLevel must be one of ${CERTIFICATION_LEVELS.join(", ")}`
+    );
+  }
+  if (!Object.values(clonePolicies).includes(clonePolicy)) {
+    throw new Error(
+      `clonePolicy must be one of ${Object.values(clonePolicies).join(", ")}`
+    );
+  }
+  if (!(notifyAfterSecondFactorFailures >= 0)) {
+    throw new Error("notifyAfterSecondFactorFailures must be 0 or more");
+  }
+  if (!(accountRecovery.waitingHours >= 0)) {
+    throw new Error("accountRecovery.waitingHours must be 0 or more");
+  }
+}
+
 // Authentication types
 const authTypes = Object.freeze({
   SINGLE_FACTOR: "sfa",
@@ -63,29 +166,64 @@ const authTypes = Object.freeze({
 // Authentication statuses
 const authStatuses = Object.freeze({
   NEED_SECOND_FACTOR: "needSecondFactor",
+  // Signed in, but two-factor authentication must be set up before anything else
+  NEED_ENROLLMENT: "needEnrollment",
   COMPLETE: "complete"
 });
 
-// Generic message, because an attacker should not be able to determine that a password was correct by looking at the error messages
-const GENERIC_AUTH_ERROR_MESSAGE =
-  "Username or password incorrect or credential not found or user verification failed";
+// Ways to provide the second factor
+const secondFactorMethods = Object.freeze({
+  WEBAUTHN: "webauthn",
+  TOTP: "totp",
+  RECOVERY_CODE: "recoveryCode"
+});
 
+// Ways to confirm one's identity before a sensitive operation
+const reauthenticationMethods = Object.freeze({
+  WEBAUTHN: "webauthn",
+  PASSWORD: "password"
+});
 
-// ----------------------------------------------------------------------------
-// Utils
-// ----------------------------------------------------------------------------
+// The second factor was skipped on a browser the user trusts, see "Trusted devices"
+const TRUSTED_DEVICE_METHOD = "trustedDevice";
 
-function isPasswordCorrect(username, password) {
-  // Always true, in this demo for simplicity the password isn't actually checked
-  return true;
-}
+// How notifications name the authenticator app, see getCredentialDescription
+const TOTP_DESCRIPTION = "An authenticator app";
 
-function getAuthType(credentials) {
-  // If one or more credential are registered, it means by definition that two-factor authentication is set up
-  return credentials.length > 0
-    ? authTypes.TWO_FACTOR
-    : authTypes.SINGLE_FACTOR;
-}
+// Error code telling the client to re-authenticate the user, then retry
+const REAUTHENTICATION_REQUIRED = "reauthentication_required";
+
+// Error codes refusing to remove the user's last second factor, see lastSecondFactorError
+const LAST_SECOND_FACTOR = "last_second_factor";
+const TWO_FACTOR_REQUIRED = "two_factor_required";
+
+// Error code refusing other second factors until a security key is registered, see
+// securityKeyFirstCheck
+const SECURITY_KEY_REQUIRED = "security_key_required";
+
+// Steps of the sign-in whose attempts are throttled, keys of authSettings.THROTTLING
+const throttledSteps = Object.freeze({
+  SIGN_IN: "sign-in",
+  SECOND_FACTOR: "second-factor",
+  PASSWORDLESS: "passwordless"
+});
+
+// The throttled step that failed attempts count against, by audit event type, see recordEvent
+const throttledStepsByEventType = Object.freeze({
+  [auditEventTypes.PASSWORD]: throttledSteps.SIGN_IN,
+  [auditEventTypes.REAUTHENTICATION]: throttledSteps.SIGN_IN,
+  [auditEventTypes.SECOND_FACTOR]: throttledSteps.SECOND_FACTOR,
+  [auditEventTypes.PASSKEY]: throttledSteps.PASSWORDLESS
+});
+
+// Same message whether the account exists or not
+const TOO_MANY_ATTEMPTS_MESSAGE = "Too many attempts";
+
+// Generic message, because an attacker should not be able to determine that a password was correct by looking at the error messages
+const GENERIC_AUTH_ERROR_MESSAGE =
+  "Username or password incorrect or credential not found or user verification failed";
+
+const MIN_PASSWORD_LENGTH = 8;
 
 function csrfCheck(req, res, next) {
   if (req.header("X-Requested-With") != "XMLHttpRequest") {
@@ -95,7 +233,18 @@ function csrfCheck(req, res, next) {
   next();
 }
 
-function sessionCheck(req, res, next) {
+// Whether a WebAuthn assertion from the client can be looked up, before it's verified
+function isAssertion(credential) {
+  return Boolean(
+    credential &&
+      typeof credential.id === "string" &&
+      credential.response &&
+      typeof credential.response === "object"
+  );
+}
+
+// Lets through users whose authentication is complete, see completeAuthentication
+function defaultSessionCheck(req, res, next) {
   if (req.session.name !== "main") {
     res.status(401).json({ error: "Not authenticated" });
     return;
@@ -103,602 +252,2803 @@ function sessionCheck(req, res, next) {
   next();
 }
 
-function getOrigin(userAgent) {
-  let origin = "";
-  if (userAgent.indexOf("okhttp") === 0) {
-    const octArray = process.env.ANDROID_SHA256HASH.split(":").map(h =>
-      parseInt(h, 16)
-    );
-    const androidHash = base64url.encode(octArray);
-    origin = `android:apk-key-hash:${androidHash}`;
-  } else {
-    origin = process.env.ORIGIN;
-  }
-  return origin;
-}
-
 // ----------------------------------------------------------------------------
-// Database management and actions
+// Router
 // ----------------------------------------------------------------------------
 
-function resetDb() {
-  db.get("users")
-    .remove({})
-    .write();
-}
+/**
+ * Create the authentication router, to be mounted at /auth by an Express app that uses
+ * express-session (see libs/session-store.js) and cookie-parser with a secret
+ *
+ * Nothing is read from the environment nor written to disk here, apart from the audit log file if
+ * one is given: the app passes everything in (see libs/settings.js for how server.js does it)
+ *
+ * Hooks are called once the event is recorded in the audit log. They're awaited, but their errors
+ * are only logged, so that they can't fail the request
+ *
+ * Input:
+ * {
+     store: Object, // See libs/store
+     rp: Object, // See loadRpConfig in libs/rp-config.js; throws if it's invalid
+     policy: { // Optional, whatever is left out is taken from defaultPolicy
+       registration: Object, // See checkRegistrationPolicy
+       clonePolicy: String, // One of clonePolicies
+       reauthenticationMinutes: Number,
+       requireTwoFactor: Boolean,
+       twoFactorGraceSignIns: Number,
+       twoFactorGraceDays: Number,
+       trustedDeviceDays: Number,
+       secondFactorLockout: { threshold: Number, minutes: Number },
+       notifyAfterSecondFactorFailures: Number,
+       accountRecovery: { waitingHours: Number, requireApproval: Boolean }
+     },
+     hooks: { // Optional
+       onRegistered: Function, // ({ req, user, credential }), a credential was registered
+       onAuthenticated: Function, // ({ req, user, authStatus }), a sign-in was completed
+       onCredentialRemoved: Function, // ({ req, user, credential })
+       onFailure: Function // ({ req, user, type, fields }), a failed attempt, see auditEventTypes
+     },
+     // Optional, async (user, password) => Boolean, replaces checking the stored password hash.
+     // user is null if the username is unknown
+     passwordVerifier: Function,
+     // Optional middleware replacing the check that the user is signed in. It must only let
+     // through requests whose req.session.username is a signed-in user
+     sessionCheck: Function,
+     // Optional, see createMailer in libs/mailer.js. Without it, account recovery isn't offered
+     mailer: Object,
+     // Optional, see createNotifier in libs/notifier.js. Without it, users aren't notified of
+     // changes to their second factors, sign-ins from new devices nor repeated failures
+     notifier: Object,
+     auditLogPath: String, // Optional JSON Lines file every audit event is also appended to
+     secureCookies: Boolean // Whether cookies are only sent over https, default true
+ * }
+ *
+ * Response: the router
+ **/
+function createWebAuthnRouter({
+  store,
+  rp,
+  policy = {},
+  hooks = {},
+  passwordVerifier,
+  sessionCheck = defaultSessionCheck,
+  mailer,
+  notifier,
+  auditLogPath,
+  secureCookies = true
+}) {
+  const rpConfig = createRpConfig(rp, "the rp option");
+  const fullPolicy = {
+    ...defaultPolicy,
+    ...policy,
+    registration: { ...defaultPolicy.registration, ...policy.registration },
+    secondFactorLockout: {
+      ...defaultPolicy.secondFactorLockout,
+      ...policy.secondFactorLockout
+    },
+    accountRecovery: {
+      ...defaultPolicy.accountRecovery,
+      ...policy.accountRecovery
+    }
+  };
+  validatePolicy(fullPolicy);
 
-function findUserByUsername(username) {
-  return db
-    .get("users")
-    .find({ username })
-    .value();
-}
+  // WebAuthn settings
+  const authSettings = Object.freeze({
+    RP_NAME: rpConfig.rpName,
+    RP_ID: rpConfig.rpId,
+    // How long browsers wait for the user to use their authenticator
+    FIDO_TIMEOUT: rpConfig.timeouts.ceremonySeconds * 1000,
+    // How long the challenge of a ceremony can be answered, see libs/challenges.js. A bit longer
+    // than FIDO_TIMEOUT, for the time it takes to send the response
+    CHALLENGE_TTL: rpConfig.timeouts.challengeSeconds * 1000,
+    // COSE identifiers of the signature algorithms offered at registration, most preferred first
+    ALGORITHM_IDS: rpConfig.algorithmIds,
+    // Use "cross-platform" for roaming keys
+    AUTHENTICATOR_ATTACHEMENT: "cross-platform",
+    RESIDENT_KEY: "preferred",
+    REQUIRE_RESIDENT_KEY: false,
+    USER_VERIFICATION: "preferred",
+    // Ask for the authenticator's attestation, to identify its model via the metadata
+    ATTESTATION: "direct",
+    REGISTRATION_POLICY: Object.freeze(fullPolicy.registration),
+    CLONE_POLICY: fullPolicy.clonePolicy,
+    // How many 30-second steps of clock skew to tolerate on TOTP codes, before and after now
+    TOTP_WINDOW: 1,
+    // How many events the account page shows
+    ACTIVITY_LIMIT: 50,
+    // In ms, see recentAuthenticationCheck
+    REAUTHENTICATION_WINDOW: fullPolicy.reauthenticationMinutes * 60 * 1000,
+    REQUIRE_TWO_FACTOR: fullPolicy.requireTwoFactor,
+    TWO_FACTOR_GRACE_SIGN_INS: fullPolicy.twoFactorGraceSignIns,
+    TWO_FACTOR_GRACE_DAYS: fullPolicy.twoFactorGraceDays,
+    TRUSTED_DEVICE_DAYS: fullPolicy.trustedDeviceDays,
+    THROTTLING: getThrottlingRules(fullPolicy.secondFactorLockout),
+    NOTIFY_AFTER_SECOND_FACTOR_FAILURES:
+      fullPolicy.notifyAfterSecondFactorFailures,
+    SECURE_COOKIES: secureCookies
+  });
 
-function createUser(user) {
-  db.get("users")
-    .push(user)
-    .write();
-}
+  const router = createRouter();
 
-function updateUser(username, user) {
-  db.get("users")
-    .find({ username })
-    .assign(user)
-    .write();
-}
+  const challengeStore = createChallengeStore({
+    store,
+    ttl: authSettings.CHALLENGE_TTL
+  });
 
-function updateCredentials(username, credentials) {
-  db.get("users")
-    .find({ username })
-    .assign({ credentials })
-    .write();
-}
+  const auditLog = createAuditLog({ store, filePath: auditLogPath });
 
-function createOrGetUser(username) {
-  let user = findUserByUsername(username);
-  // If the user doesn't exist, create it
-  if (!user) {
-    user = {
-      username,
-      id: base64url.encode(crypto.randomBytes(32)),
-      credentials: []
-    };
-    createUser(user);
+  const accountRecovery = mailer
+    ? createAccountRecovery({
+        store,
+        auditLog,
+        mailer,
+        origin: rpConfig.origins[0],
+        ...fullPolicy.accountRecovery
+      })
+    : null;
+
+  const passwordReset = createPasswordReset({ store, auditLog });
+
+  // Lifecycle hooks can't fail the request, see createWebAuthnRouter
+  async function runHook(name, payload) {
+    if (!hooks[name]) {
+      return;
+    }
+    try {
+      await hooks[name](payload);
+    } catch (e) {
+      console.error(`The ${name} hook failed: ${e.message}`);
+    }
   }
-  return user;
-}
 
-// ----------------------------------------------------------------------------
-// Session management
-// ----------------------------------------------------------------------------
+  // Notifications are delivered in the background, so they can't slow down nor fail the request
+  function notify(req, type, user, fields) {
+    if (notifier) {
+      notifier.notify(req, type, user, fields);
+    }
+  }
 
-// Sign out
-router.get("/signout", (req, res) => {
-  // Remove the session
-  req.session.destroy();
-  // Redirect to `/`
-  res.redirect(307, "/");
-});
+  // ----------------------------------------------------------------------------
+  // Utils
+  // ----------------------------------------------------------------------------
 
-/**
- * Complete the authentication
- *
- * Input:
- * req.session:
- * {
-     username: String,
-     isPasswordCorrect: String
- * }
- *
- * Response as JSON:
- * {
-     msg: String, 
-     authStatus: String // One of authStatuses 
-   }
- * or
- * {
-     error: String, 
-   }
- **/
-function completeAuthentication(req, res) {
-  // username and isPasswordCorrect come from the bootstrapping session, named 'auth', and dedicated to authentication
-  const { username, isPasswordCorrect } = req.session;
-  if (!username || !isPasswordCorrect) {
-    res.status(401).json({ error: GENERIC_AUTH_ERROR_MESSAGE });
-    return;
+  // Cookies of the router are only sent to it, wherever it's mounted ('/' at the root)
+  function getCookiePath(req) {
+    return req.baseUrl || "/";
   }
-  // Terminate the 'auth' session and start the 'main' session
-  // Once the 'main' session is active, the user is considered fully authenticated
-  req.session.regenerate(function(err) {
-    req.session.name = "main";
-    // Transfer the username from the 'auth' session to the new one 'main'
-    req.session.username = username;
-    req.session.save(function(err) {
-      res.status(200).json({
-        msg: "Authentication complete",
-        authStatus: authStatuses.COMPLETE
-      });
-    });
-  });
-}
 
-/**
- * Initialize the authentication: trigger completion or request a second factor, depending on the user's chosen authentication type
- *
- * Input:
- * req.body:
- * {
-     username: String,
-     password: String,
- * }
- * req.session:
- * {
-     username: String,
-     ...
- * }
- *
- * Response as JSON:
- * {
-     msg: String, 
-     authStatus: String // One of authStatuses 
-   }
- * or
- * {
-     error: String, 
-   }
- **/
-router.post(
-  "/initialize-authentication",
-  check("username")
-    .notEmpty()
-    .isAlphanumeric()
-    .escape(),
-  check("password")
-    .notEmpty()
-    .escape(),
-  (req, res) => {
-    // Validate the input
-    const validationErrors = validationResult(req);
-    if (!validationErrors.isEmpty()) {
-      res.status(400).json({
-        error: "Username or password is empty or contains invalid characters"
-      });
-      return;
+  async function isPasswordCorrect(user, password) {
+    if (passwordVerifier) {
+      return Boolean(await passwordVerifier(user, password)) && Boolean(user);
     }
-    const { password, username } = req.body;
-    const user = createOrGetUser(username);
-    // Set the username in the 'auth' session so that it can be passed to the main session
-    req.session.username = username;
-    // Set the password correctness value for the next step
-    req.session.isPasswordCorrect = isPasswordCorrect(username, password);
-    // If 2FA is not set up, complete the authentication
-    const authType = getAuthType(user.credentials);
-    if (authType === authTypes.SINGLE_FACTOR) {
-      completeAuthentication(req, res);
-      // If 2FA is set up, respond with a signal that the second factor is missing
-    } else if (authType === authTypes.TWO_FACTOR) {
-      // Set the authStatus in the session so that it can be checked in server.js
-      req.session.authStatus = authStatuses.NEED_SECOND_FACTOR;
-      // And set it in the response so that it can be checked by the client
-      res.status(200).json({
-        msg:
-          "Need two factors because two-factor-authentication was configured for this account",
-        authStatus: authStatuses.NEED_SECOND_FACTOR
+    // Runs a dummy verification when the user is unknown, so that timing doesn't reveal whether they exist
+    const isCorrect = await verifyPassword(password, user && user.password);
+    // Upgrade the stored hash if it was created with outdated parameters
+    if (isCorrect && needsRehash(user.password)) {
+      await store.updateUser(user.username, {
+        password: await hashPassword(password)
       });
-    } else {
-      res.status(500).json({ error: "Unkown authentication type" });
     }
+    return isCorrect;
   }
-);
 
-/**
- * Get options that are required to call navigator.credential.get()
- *
- * Input:
- * req.body: similar format as output
- *
- * Response:
- * {
-     challenge: String,
-     userVerification: String, // ('required'|'preferred'|'discouraged'),
-     allowCredentials: [{
-       id: String,
-       type: 'public-key',
-       transports: String[], // One or several of https://www.w3.org/TR/webauthn-2/#dom-publickeycredentialdescriptor-transports 
-     }, ...]
- * }```
- **/
-router.post("/two-factor-options", csrfCheck, async (req, res) => {
-  try {
-    const user = findUserByUsername(req.session.username);
-    const userVerification = "preferred";
-    const allowCredentials = [];
-    for (let cred of user.credentials) {
-      allowCredentials.push({
-        id: cred.credId,
-        type: "public-key",
-        transports: cred.transports || []
-      });
+  // Never send secrets such as the password hash to the client
+  function getPublicUser(user) {
+    if (!user) {
+      return {};
     }
-    const options = fido2.generateAssertionOptions({
-      timeout: authSettings.FIDO_TIMEOUT,
-      rpID: authSettings.RP_ID,
-      allowCredentials,
-      // userVerification is an optional value that controls whether or not the authenticator needs be able to uniquely
-      // identify the user interacting with it (via built-in PIN pad, fingerprint scanner, etc...)
-      userVerification
-    });
-    req.session.challenge = options.challenge;
+    const { username, id, credentials, totp, recoveryCodes = [] } = user;
+    return {
+      username,
+      id,
+      // Never the secret
+      totp: totp ? { creationDate: totp.creationDate } : null,
+      // Only the count, the codes themselves are shown once when generated
+      recoveryCodesLeft: recoveryCodes.length,
+      // Whether the deployment forbids disabling two-factor authentication
+      isTwoFactorRequired: authSettings.REQUIRE_TWO_FACTOR,
+      // How long the user can still put off setting it up, see getTwoFactorGrace
+      twoFactorGrace: getTwoFactorGrace(user),
+      // Where account recovery links are sent, see "Account recovery"
+      recoveryEmail: user.recoveryEmail || null,
+      isAccountRecoveryAvailable: Boolean(accountRecovery),
+      // Icons are looked up rather than stored, they're large data URLs
+      credentials: credentials.map(cred => ({
+        ...cred,
+        icon: getAuthenticatorIcon(cred.aaguid),
+        algorithm: getPublicKeyAlgorithm(cred.publicKey)
+      }))
+    };
+  }
 
-    res.status(200).json(options);
-  } catch (e) {
-    res.status(400).json({
-      error: `Getting two-factor authentication options failed: ${GENERIC_AUTH_ERROR_MESSAGE}`
-    });
+  // How notifications name a credential, e.g. 'A security key (YubiKey 5 NFC)'
+  function getCredentialDescription(credential) {
+    const name = credential.name || credential.authenticatorName;
+    return name ? `A security key (${name})` : "A security key";
   }
-});
 
-/**
- * Authenticate the user
- *
- * Input:
- * req.body.credential:
- * {
-     id: String,
-     type: String, // E,g. 'public-key'
-     rawId: String,
-     response: {
-       clientDataJSON: String,
-       authenticatorData: String,
-       signature: String,
-       userHandle: String
-     }
- * }
- **/
-router.post("/authenticate-two-factor", csrfCheck, async (req, res) => {
-  const { body } = req;
-  const { credential: credentialFromClient } = body;
-  const expectedOrigin = getOrigin(req.get("User-Agent"));
-  const expectedRPID = authSettings.RP_ID;
-  const {
-    username,
-    isPasswordCorrect,
-    challenge: expectedChallenge
-  } = req.session;
-  if (!username || !isPasswordCorrect) {
-    res.status(401).json({
-      error: `Authentication failed: ${GENERIC_AUTH_ERROR_MESSAGE}`
-    });
+  function getSecondFactorMethods(user) {
+    const methods = [];
+    if (user.credentials.length > 0) {
+      methods.push(secondFactorMethods.WEBAUTHN);
+    }
+    if (user.totp) {
+      methods.push(secondFactorMethods.TOTP);
+    }
+    if (user.recoveryCodes && user.recoveryCodes.length > 0) {
+      methods.push(secondFactorMethods.RECOVERY_CODE);
+    }
+    return methods;
   }
-  const user = findUserByUsername(username);
-  let credentialFromServer = user.credentials.find(
-    cred => cred.credId === credentialFromClient.id
-  );
-  if (!credentialFromServer) {
-    res.status(401).json({
-      error: `Authentication failed: ${GENERIC_AUTH_ERROR_MESSAGE}`
-    });
+
+  function getAuthType(user) {
+    // If one or more credential are registered or an authenticator app is set up, it means by definition that two-factor authentication is set up
+    return user.credentials.length > 0 || user.totp
+      ? authTypes.TWO_FACTOR
+      : authTypes.SINGLE_FACTOR;
   }
-  try {
-    const verification = fido2.verifyAssertionResponse({
-      credential: credentialFromClient,
-      expectedChallenge,
-      expectedOrigin,
-      expectedRPID,
-      authenticator: credentialFromServer
-    });
-    const { verified, authenticatorInfo } = verification;
-    if (!verified) {
-      res.status(401).json({
-        error: `Authentication failed: ${GENERIC_AUTH_ERROR_MESSAGE}`
-      });
+
+  /**
+   * Where a user stands in their grace period, when authSettings.REQUIRE_TWO_FACTOR makes them set
+   * up two-factor authentication. The period starts with their first sign-in without it.
+   *
+   * Response: null if the user doesn't have to set it up (not required, or already done), otherwise
+   * {
+       signInsLeft: Number, // null if the number of sign-ins isn't limited
+       endDate: Number, // null if the number of days isn't limited
+       isOver: Boolean // True if the user can only set it up, see completeAuthentication
+   * }
+   **/
+  function getTwoFactorGrace(user) {
+    if (
+      !authSettings.REQUIRE_TWO_FACTOR ||
+      getAuthType(user) === authTypes.TWO_FACTOR
+    ) {
+      return null;
     }
-    updateUser(username, user);
-    delete req.session.challenge;
-    completeAuthentication(req, res);
-  } catch (e) {
-    delete req.session.challenge;
-    res.status(400).json({ error: e.message });
+    const {
+      TWO_FACTOR_GRACE_SIGN_INS: maxSignIns,
+      TWO_FACTOR_GRACE_DAYS: days
+    } = authSettings;
+    const { startDate = Date.now(), signInCount = 0 } =
+      user.twoFactorGrace || {};
+    const signInsLeft = maxSignIns
+      ? Math.max(maxSignIns - signInCount, 0)
+      : null;
+    const endDate = days ? startDate + days * 24 * 60 * 60 * 1000 : null;
+    return {
+      signInsLeft,
+      endDate,
+      isOver:
+        (!maxSignIns && !days) ||
+        signInsLeft === 0 ||
+        (endDate !== null && endDate <= Date.now())
+    };
   }
-});
-
-// ----------------------------------------------------------------------------
-// Credential management
-// ----------------------------------------------------------------------------
 
-/**
- * Return a user and their credentials
- *
- * Input:
- * req.session:
- * {
-     username: String,
-     ...
- * }
- *
- * Response:
- * {
-    username: String,
-    credentials: Credential[]
- * }
- * Credential:
- * {
-    credId: String,
-    publicKey: String,
-    aaguid: String,
- * }
-**/
-router.get("/credentials", csrfCheck, sessionCheck, (req, res) => {
-  const { username } = req.session;
-  const user = findUserByUsername(username);
-  res.status(200).json(user || {});
-});
+  /**
+   * Check whether removing a credential or the authenticator app would silently turn
+   * two-factor authentication off. That's only done on purpose, with POST /disable-two-factor.
+   *
+   * Input:
+   * user: the user as stored
+   * removed:
+   * {
+       credId: String, // The credential to remove, if any
+       totp: Boolean // True to remove the authenticator app
+   * }
+   *
+   * Response: null if the removal is fine, otherwise
+   * {
+       code: String, // LAST_SECOND_FACTOR or TWO_FACTOR_REQUIRED
+       error: String
+   * }
+   **/
+  function lastSecondFactorError(user, { credId, totp = false }) {
+    const hasCredentialsLeft = user.credentials.some(
+      cred => cred.credId !== credId
+    );
+    const hasTotpLeft = Boolean(user.totp) && !totp;
+    if (
+      getAuthType(user) === authTypes.SINGLE_FACTOR ||
+      hasCredentialsLeft ||
+      hasTotpLeft
+    ) {
+      return null;
+    }
+    // Recovery codes don't count, they're only a backup of the other second factors
+    return authSettings.REQUIRE_TWO_FACTOR
+      ? {
+          code: TWO_FACTOR_REQUIRED,
+          error:
+            "Two-factor authentication is required: add another security key or an authenticator app before removing this one"
+        }
+      : {
+          code: LAST_SECOND_FACTOR,
+          error:
+            "This is your last second factor: add another one first, or disable two-factor authentication"
+        };
+  }
 
-/**
- * Remove a credential attached to the user
- *
- * Input:
- * req.session:
- * {
-     username: String,
-     ...
- * }
- * req.query:
- * {
-     credId: String,
-     ...
- * }
- *
- * Response: empty JSON
- **/
-router.delete("/credential", csrfCheck, sessionCheck, (req, res) => {
-  const { credId } = req.query;
-  const { username } = req.session;
-  const user = findUserByUsername(username);
-  const updatedCredentials = user.credentials.filter(cred => {
-    return cred.credId !== credId;
-  });
-  updateCredentials(username, updatedCredentials);
-  res.status(200).json(user || {});
-});
+  /**
+   * Record a successful assertion on the stored credential: its signature counter, and when, from
+   * where and how often the credential was used
+   *
+   * A counter that doesn't increase hints at a cloned authenticator. Authenticators that don't
+   * implement a counter always return 0, so these are left alone.
+   *
+   * Returns false if the assertion must be rejected as per authSettings.CLONE_POLICY, the use isn't
+   * recorded then
+   **/
+  async function recordCredentialUse(req, username, credential, newCounter) {
+    const storedCounter = credential.counter || 0;
+    const isPossibleClone =
+      (newCounter > 0 || storedCounter > 0) && newCounter <= storedCounter;
+    if (isPossibleClone) {
+      console.warn(
+        `Possible cloned authenticator: credential ${credential.credId} of user ${username} returned counter ${newCounter}, expected more than ${storedCounter}`
+      );
+      if (authSettings.CLONE_POLICY === clonePolicies.REJECT) {
+        return false;
+      }
+    }
+    const changes = {
+      // Never lower the counter, otherwise the clone and the original could take turns undetected
+      counter: Math.max(storedCounter, newCounter),
+      lastUsedDate: Date.now(),
+      lastUsedIp: req.ip,
+      lastUsedUserAgent: req.get("User-Agent") || "",
+      useCount: (credential.useCount || 0) + 1
+    };
+    if (isPossibleClone && authSettings.CLONE_POLICY === clonePolicies.FLAG) {
+      changes.cloneDetectionDate = Date.now();
+    }
+    await store.updateCredential(username, credential.credId, changes);
+    return true;
+  }
 
-/**
- * Update an existing credential's name
- *
- * Input:
- * req.session:
- * {
-     username: String,
-     ...
- * }
- * req.query:
- * {
-     name: String,
-     credId: String,
-     ...
- * }
- *
- * Response: 
- * User as JSON string
- **/
-router.put(
-  "/credential",
-  csrfCheck,
-  sessionCheck,
-  check("credId").escape(),
-  check("name")
-    .trim()
-    .escape(),
-  (req, res) => {
-    // Validate the input
-    const validationErrors = validationResult(req);
-    if (!validationErrors.isEmpty()) {
-      return res.status(400).json({ error: validationErrors.array() });
+  // Like sessionCheck, but also lets through users who signed in and must set up two-factor
+  // authentication before anything else (see completeAuthentication), for the routes that do it
+  function enrollmentSessionCheck(req, res, next) {
+    if (req.session.name === "enrollment") {
+      next();
+      return;
     }
+    sessionCheck(req, res, next);
+  }
 
-    const { credId, name: newName } = req.query;
+  // Once a user who had to set up two-factor authentication did, their session becomes a full one.
+  // After account recovery, only a security key will do
+  function completeEnrollment(req, user) {
+    if (req.session.name === "enrollment" && !user.mustEnrollSecurityKey) {
+      req.session.name = "main";
+    }
+  }
 
-    try {
-      const { username } = req.session;
-      const user = findUserByUsername(username);
-      const { credentials } = user;
-      const indexOfCredentialToUpdate = credentials.findIndex(
-        el => el.credId === credId
-      );
-      // Change the credential name on a copy of the credentials
-      const updatedCredentials = [...credentials];
-      // Normally empty name in the frontend means the renaming request is not sent. This is an extra protection
-      updatedCredentials[indexOfCredentialToUpdate].name = newName || "";
-      // Update the stored credentials with the copy
-      updateCredentials(username, updatedCredentials);
-      res.status(200).json(user);
-    } catch (e) {
-      res.status(400).json({ error: e.message });
+  // After account recovery, only a security key will do (see completeEnrollment): the other second
+  // factors can't be set up before one is registered
+  async function securityKeyFirstCheck(req, res, next) {
+    const user = await store.findUserByUsername(req.session.username);
+    if (
+      req.session.mustEnrollSecurityKey ||
+      (user && user.mustEnrollSecurityKey)
+    ) {
+      res.status(403).json({
+        error: "Register a security key first",
+        code: SECURITY_KEY_REQUIRED
+      });
+      return;
     }
+    next();
   }
-);
 
-/**
- * Register a new credential
- *
- * Input: 
- * req.session:
- * {
-     challenge: String,
-     username: String,
-     ...
- * }
- * req.body:
- * {
-     id: String, // New credential's ID
-     type: String, // E.g. 'public-key'
-     rawId: ArrayBuffer,
-     response: {
-       clientDataJSON: String, 
-       attestationObject: String, 
-       signature: String, 
-       userHandle: String, 
-     }
-     transports: String[], // One or several of https://www.w3.org/TR/webauthn-2/#dom-publickeycredentialdescriptor-transports 
- * }
- * 
- * Response: 
- * User as JSON string
- **/
-router.post(
-  "/credential",
-  csrfCheck,
-  sessionCheck,
-  check("credId").escape(),
-  async (req, res) => {
-    const { challenge: expectedChallenge, username } = req.session;
-    const { body } = req;
-    const { id: credId, transports, credProps } = body;
-    const expectedOrigin = getOrigin(req.get("User-Agent"));
-    const expectedRPID = authSettings.RP_ID;
+  function getReauthenticationMethods(user) {
+    return user.credentials.length
+      ? [reauthenticationMethods.WEBAUTHN, reauthenticationMethods.PASSWORD]
+      : [reauthenticationMethods.PASSWORD];
+  }
 
-    try {
-      // Verify the user via fido
-      const verification = await fido2.verifyAttestationResponse({
-        credential: body,
-        expectedChallenge,
-        expectedOrigin,
-        expectedRPID
+  /**
+   * Middleware for sensitive operations: holding a session isn't enough, the user must have signed
+   * in or re-authenticated (see /reauthenticate) recently. Use after sessionCheck
+   *
+   * Response if not, with status 401:
+   * {
+       error: String,
+       code: String, // REAUTHENTICATION_REQUIRED
+       methods: String[] // Some of reauthenticationMethods
+   * }
+   **/
+  async function recentAuthenticationCheck(req, res, next) {
+    const { lastAuthenticationDate, username } = req.session;
+    if (
+      lastAuthenticationDate &&
+      Date.now() - lastAuthenticationDate <=
+        authSettings.REAUTHENTICATION_WINDOW
+    ) {
+      next();
+      return;
+    }
+    const user = await store.findUserByUsername(username);
+    if (!user) {
+      res.status(401).json({ error: "Not authenticated" });
+      return;
+    }
+    res.status(401).json({
+      error: "Please confirm it's you to continue",
+      code: REAUTHENTICATION_REQUIRED,
+      methods: getReauthenticationMethods(user)
+    });
+  }
+
+  // The counters of a throttled step: one for the IP address, and one for the account if the
+  // username is known. The username doesn't have to exist, so that the counters don't reveal
+  // whether it does
+  function getThrottleCounters(step, username, ip) {
+    const rules = authSettings.THROTTLING[step];
+    const counters = [{ key: `${step}:ip:${ip}`, rule: rules.ip }];
+    if (username && rules.account) {
+      counters.push({
+        key: `${step}:account:${username}`,
+        rule: rules.account
       });
+    }
+    return counters;
+  }
 
-      const { verified, authenticatorInfo } = verification;
-      if (!verified) {
-        return res.status(400).json({ error: "User verification failed" });
+  // The account a second factor is provided for, once its password checked out, so that knowing
+  // a username isn't enough to count failures against the account and lock it out
+  function getSecondFactorUsername(req) {
+    return req.session.isPasswordCorrect ? req.session.username : null;
+  }
+
+  /**
+   * Middleware that refuses attempts with a 429 and a Retry-After header while one of the step's
+   * counters is blocked
+   *
+   * Attempts are only counted once they failed (see countFailure), so that users who sign in
+   * successfully from a shared IP address don't get delayed. Completing the authentication resets
+   * the account's counters (see resetThrottling)
+   **/
+  function throttleCheck(step, getUsername) {
+    return async (req, res, next) => {
+      const counters = getThrottleCounters(step, getUsername(req), req.ip);
+      const attempts = [];
+      for (const { key } of counters) {
+        attempts.push(await store.getAttempts(key));
       }
-      // Validate the input
-      const validationErrors = validationResult(req);
-      if (!validationErrors.isEmpty()) {
-        return res.status(400).json({ error: validationErrors.array() });
+      const retryAfter = Math.max(
+        ...attempts.map(record => getRetryAfter(record))
+      );
+      if (retryAfter > 0) {
+        const username = getUsername(req);
+        const user = username && (await store.findUserByUsername(username));
+        await recordEvent(req, auditEventTypes.THROTTLED, user, {
+          username,
+          success: false,
+          step
+        });
+        res.set("Retry-After", String(retryAfter));
+        res.status(429).json({
+          error: `${TOO_MANY_ATTEMPTS_MESSAGE}, please try again in ${retryAfter} seconds`
+        });
+        return;
       }
-      const { base64PublicKey, base64CredentialID } = authenticatorInfo;
-      const user = findUserByUsername(username);
-      const existingCred = user.credentials.find(
-        cred => cred.credID === base64CredentialID
+      next();
+    };
+  }
+
+  // Count a failed attempt at a throttled step, against the IP address and the account if known
+  async function countFailure(req, step, username = null) {
+    for (const { key, rule } of getThrottleCounters(step, username, req.ip)) {
+      await store.setAttempts(
+        key,
+        addFailure(await store.getAttempts(key), rule)
       );
-      if (!existingCred) {
-        const newCredential = {
-          publicKey: base64PublicKey,
-          credId: base64CredentialID,
-          // the credential isn't given a name upon creation
-          name: "",
-          transports: transports || [],
-          creationDate: Date.now()
-        };
-        // Add the "is resident key" info if available i.e. if the client has supplied credProps
-        if (credProps) {
-          newCredential.isResidentKey = credProps.rk;
-        }
-        // Add the returned device to the user's list of devices
-        user.credentials.push(newCredential);
+    }
+  }
+
+  // Forget the failed attempts of an account, once it has been signed in to or confirmed. The IP
+  // address only gets one failure forgiven, since other accounts may be attacked from it
+  async function resetThrottling(req, username) {
+    for (const step of Object.values(throttledSteps)) {
+      await store.deleteAttempts(`${step}:account:${username}`);
+      const ipKey = `${step}:ip:${req.ip}`;
+      const ipAttempts = removeFailure(await store.getAttempts(ipKey));
+      if (ipAttempts) {
+        await store.setAttempts(ipKey, ipAttempts);
       }
-      updateUser(username, user);
-      delete req.session.challenge;
-      // Respond with user data
-      res.json(user);
-    } catch (e) {
-      delete req.session.challenge;
-      res.status(400).json({ error: e.message });
     }
   }
-);
 
-/**
- * Get options that are required to call navigator.credential.create()
- *
- * Input: 
- * req.session:
- * {
-     username: String,
-     ...
- * }
- *
- * Response: 
- * {
-     rp: {
-       id: String,
-       name: String
-     },
-     user: {
-       displayName: String,
-       id: String,
-       name: String
-     },
-     publicKeyCredParams: [{
-       type: 'public-key', alg: -7
-     }],
-     timeout: Number,
-     challenge: String,
-     excludeCredentials: [{
-       id: String,
-       type: 'public-key',
-       transports: String[], // One or several of https://www.w3.org/TR/webauthn-2/#dom-publickeycredentialdescriptor-transports 
-     }, ...],
-     authenticatorSelection: {
-       authenticatorAttachment: String,
-       requireResidentKey: String,
-       userVerification: String // 'required'|'preferred'|'discouraged'
-     },
-     attestation: String // 'none'|'indirect'|'direct'
- * }
- **/
-router.post(
-  "/credential-options",
-  csrfCheck,
-  sessionCheck,
-  async (req, res) => {
+  // Record a security event in the audit log. user is null when the username is unknown, it's then
+  // expected in fields. Failed attempts are also counted by their throttled step, and handed to the
+  // onFailure hook
+  async function recordEvent(req, type, user, fields = {}) {
+    const username = user ? user.username : fields.username;
+    await auditLog.record(req, type, {
+      userId: user ? user.id : null,
+      username,
+      ...fields
+    });
+    if (fields.success === false && throttledStepsByEventType[type]) {
+      await countFailure(req, throttledStepsByEventType[type], username);
+    }
+    if (fields.success === false) {
+      await runHook("onFailure", { req, user: user || null, type, fields });
+    }
+    if (type === auditEventTypes.SECOND_FACTOR && fields.success === false) {
+      await notifySecondFactorFailures(req, user);
+    }
+  }
+
+  // Tell the user once their second factor was refused NOTIFY_AFTER_SECOND_FACTOR_FAILURES times
+  // in a row, as counted by countFailure. Signing in resets the count, see resetThrottling. Only
+  // attempts that got past the password count, so that knowing a username isn't enough to send
+  // these emails
+  async function notifySecondFactorFailures(req, user) {
+    const threshold = authSettings.NOTIFY_AFTER_SECOND_FACTOR_FAILURES;
+    if (!notifier || !threshold || !user || !req.session.isPasswordCorrect) {
+      return;
+    }
+    const attempts = await store.getAttempts(
+      `${throttledSteps.SECOND_FACTOR}:account:${user.username}`
+    );
+    if (attempts && attempts.failures === threshold) {
+      notify(req, notificationTypes.SECOND_FACTOR_FAILURES, user, {
+        failures: threshold
+      });
+    }
+  }
+
+  // Keep a ceremony's challenge until the client answers it, see libs/challenges.js. Browsers find
+  // the ceremony in their session; other clients, e.g. without cookies, send back the ceremonyId
+  // they got with the options
+  async function startCeremony(req, type, challenge, username = null) {
+    const ceremonyId = await challengeStore.issue(type, challenge, username);
+    req.session.ceremonies = { ...req.session.ceremonies, [type]: ceremonyId };
+    return ceremonyId;
+  }
+
+  // The challenge of the ceremony the client answers. It can't be answered again, even if the
+  // verification then fails. Throws if it's unknown, expired or was issued for another user
+  function takeCeremonyChallenge(req, type, username = null) {
+    const ceremonies = req.session.ceremonies || {};
+    const ceremonyId = (req.body && req.body.ceremonyId) || ceremonies[type];
+    delete ceremonies[type];
+    return challengeStore.take(type, ceremonyId, username);
+  }
+
+  /**
+   * Middleware for the routes that verify a WebAuthn response: takes the challenge of the ceremony
+   * (see takeCeremonyChallenge) into req.expectedChallenge
+   *
+   * getUsername(req) returns the user the challenge must have been issued for, if any
+   *
+   * Response if there's no challenge to answer, with status 400:
+   * {
+       error: String,
+       code: String // One of challengeErrors, see libs/challenges.js
+   * }
+   **/
+  function ceremonyCheck(type, getUsername = () => null) {
+    return async (req, res, next) => {
+      try {
+        req.expectedChallenge = await takeCeremonyChallenge(
+          req,
+          type,
+          getUsername(req)
+        );
+      } catch (e) {
+        res.status(400).json({ error: e.message, code: e.code });
+        return;
+      }
+      next();
+    };
+  }
+
+  // The origin a WebAuthn response was created on, see getAllowedOrigin in libs/rp-config.js
+  function getExpectedOrigin(credential) {
+    return getAllowedOrigin(rpConfig, credential);
+  }
+
+  // ----------------------------------------------------------------------------
+  // Database management and actions
+  // ----------------------------------------------------------------------------
+
+  async function createUserWithPassword(username, password) {
+    const user = {
+      username,
+      id: base64url.encode(crypto.randomBytes(32)),
+      password: await hashPassword(password),
+      credentials: []
+    };
+    await store.createUser(user);
+    return user;
+  }
+
+  // ----------------------------------------------------------------------------
+  // Session management
+  // ----------------------------------------------------------------------------
+
+  // Sign out
+  router.get("/signout", async (req, res) => {
     const { username } = req.session;
-    const user = findUserByUsername(username);
+    if (username && req.session.name === "main") {
+      await recordEvent(
+        req,
+        auditEventTypes.SIGN_OUT,
+        await store.findUserByUsername(username)
+      );
+    }
+    // Remove the session
+    req.session.destroy();
+    // Redirect to `/`
+    res.redirect(307, "/");
+  });
+
+  /**
+   * Complete the authentication
+   *
+   * Input:
+   * req.session:
+   * {
+       username: String,
+       isPasswordCorrect: String,
+       isPasskeyVerified: Boolean // Set instead of isPasswordCorrect when signing in without a password
+   * }
+   *
+   * Users who must set up two-factor authentication and whose grace period is over (see
+   * getTwoFactorGrace) get an 'enrollment' session instead, which only allows setting it up
+   *
+   * Response as JSON:
+   * {
+       msg: String, 
+       authStatus: String // One of authStatuses 
+     }
+   * or
+   * {
+       error: String, 
+     }
+   **/
+  async function completeAuthentication(req, res) {
+    // username and isPasswordCorrect come from the bootstrapping session, named 'auth', and dedicated to authentication
+    const {
+      username,
+      isPasswordCorrect,
+      isPasskeyVerified,
+      credId
+    } = req.session;
+    if (!username || !(isPasswordCorrect || isPasskeyVerified)) {
+      res.status(401).json({ error: GENERIC_AUTH_ERROR_MESSAGE });
+      return;
+    }
+    await resetThrottling(req, username);
+    const user = await store.findUserByUsername(username);
+    const grace = getTwoFactorGrace(user);
+    // Recovered accounts must register a new security key, see libs/account-recovery.js
+    const mustEnroll =
+      Boolean(grace && grace.isOver) || Boolean(user.mustEnrollSecurityKey);
+    if (grace && !mustEnroll) {
+      // One more sign-in without two-factor authentication
+      const { startDate = Date.now(), signInCount = 0 } =
+        user.twoFactorGrace || {};
+      await store.updateUser(username, {
+        twoFactorGrace: { startDate, signInCount: signInCount + 1 }
+      });
+    }
+    const isNewDevice = await recognizeDevice(req, res, user);
+    await recordEvent(req, auditEventTypes.SIGN_IN, user, {
+      ...(mustEnroll && { enrollmentRequired: true }),
+      ...(isNewDevice && { newDevice: true })
+    });
+    if (isNewDevice) {
+      notify(req, notificationTypes.NEW_DEVICE_SIGN_IN, user);
+    }
+    // The owner got in without recovering the account, whoever asked for it
+    if (accountRecovery) {
+      await accountRecovery.cancelOnSignIn(req, user);
+    }
+    await runHook("onAuthenticated", {
+      req,
+      user,
+      authStatus: mustEnroll
+        ? authStatuses.NEED_ENROLLMENT
+        : authStatuses.COMPLETE
+    });
+    // Terminate the 'auth' session and start the 'main' session
+    // Once the 'main' session is active, the user is considered fully authenticated
+    req.session.regenerate(function(err) {
+      req.session.name = mustEnroll ? "enrollment" : "main";
+      req.session.mustEnrollSecurityKey = Boolean(user.mustEnrollSecurityKey);
+      // Transfer the username from the 'auth' session to the new one 'main'
+      req.session.username = username;
+      // Signing in counts as a recent authentication, see recentAuthenticationCheck
+      req.session.lastAuthenticationDate = Date.now();
+      // Shown in the list of sessions; lastSeenDate is updated by server.js
+      req.session.creationDate = Date.now();
+      req.session.lastSeenDate = Date.now();
+      req.session.ip = req.ip;
+      req.session.userAgent = req.get("User-Agent") || "";
+      // The credential used to sign in, if any
+      req.session.credId = credId;
+      req.session.save(function(err) {
+        res.status(200).json(
+          mustEnroll
+            ? {
+                msg: "Set up two-factor authentication to continue",
+                authStatus: authStatuses.NEED_ENROLLMENT
+              }
+            : {
+                msg: "Authentication complete",
+                authStatus: authStatuses.COMPLETE
+              }
+        );
+      });
+    });
+  }
+
+  /**
+   * Create an account with a password and sign the new user in
+   *
+   * Input:
+   * req.body:
+   * {
+       username: String,
+       password: String,
+   * }
+   *
+   * Response as JSON:
+   * {
+       msg: String, 
+       authStatus: String // One of authStatuses 
+     }
+   * or
+   * {
+       error: String, 
+     }
+   **/
+  router.post(
+    "/signup",
+    check("username")
+      .notEmpty()
+      .isAlphanumeric()
+      .escape(),
+    check("password").isLength({ min: MIN_PASSWORD_LENGTH }),
+    async (req, res) => {
+      // Validate the input
+      const validationErrors = validationResult(req);
+      if (!validationErrors.isEmpty()) {
+        res.status(400).json({
+          error: `Username must be alphanumeric and password at least ${MIN_PASSWORD_LENGTH} characters long`
+        });
+        return;
+      }
+      const { password, username } = req.body;
+      if (await store.findUserByUsername(username)) {
+        res.status(409).json({ error: "Username is already taken" });
+        return;
+      }
+      try {
+        await createUserWithPassword(username, password);
+      } catch (e) {
+        res.status(500).json({ error: "Account creation failed" });
+        return;
+      }
+      await recordEvent(
+        req,
+        auditEventTypes.SIGN_UP,
+        await store.findUserByUsername(username)
+      );
+      req.session.username = username;
+      req.session.isPasswordCorrect = true;
+      // A new account has no credential yet, so the first factor is enough
+      await completeAuthentication(req, res);
+    }
+  );
+
+  /**
+   * Initialize the authentication: trigger completion or request a second factor, depending on the user's chosen authentication type
+   *
+   * Input:
+   * req.body:
+   * {
+       username: String,
+       password: String,
+   * }
+   * req.session:
+   * {
+       username: String,
+       ...
+   * }
+   *
+   * Response as JSON:
+   * {
+       msg: String, 
+       authStatus: String // One of authStatuses 
+     }
+   * or
+   * {
+       error: String, 
+     }
+   **/
+  router.post(
+    "/initialize-authentication",
+    check("username")
+      .notEmpty()
+      .isAlphanumeric()
+      .escape(),
+    check("password").notEmpty(),
+    throttleCheck(throttledSteps.SIGN_IN, req => req.body.username),
+    async (req, res) => {
+      // Validate the input
+      const validationErrors = validationResult(req);
+      if (!validationErrors.isEmpty()) {
+        res.status(400).json({
+          error: "Username or password is empty or contains invalid characters"
+        });
+        return;
+      }
+      const { password, username } = req.body;
+      const user = await store.findUserByUsername(username);
+      // Always verify, even for unknown users, so that timing doesn't reveal which usernames exist.
+      // Accounts without a password never match: they get one with a reset link, see
+      // libs/password-reset.js
+      const passwordCorrect = await isPasswordCorrect(user, password);
+      await recordEvent(req, auditEventTypes.PASSWORD, user || null, {
+        username,
+        success: passwordCorrect
+      });
+      // The same response whether the username is unknown or the password wrong, with or without
+      // two-factor authentication, so that it doesn't reveal which accounts exist
+      if (!user || !passwordCorrect) {
+        delete req.session.username;
+        req.session.isPasswordCorrect = false;
+        res.status(401).json({ error: GENERIC_AUTH_ERROR_MESSAGE });
+        return;
+      }
+      // Set the username in the 'auth' session so that it can be passed to the main session
+      req.session.username = username;
+      // Set the password correctness value for the next step
+      req.session.isPasswordCorrect = passwordCorrect;
+      // If 2FA is not set up, complete the authentication
+      const authType = getAuthType(user);
+      if (authType === authTypes.SINGLE_FACTOR) {
+        await completeAuthentication(req, res);
+        // If 2FA is set up, respond with a signal that the second factor is missing
+      } else if (authType === authTypes.TWO_FACTOR) {
+        // The browser was trusted by the user when they last provided their second factor
+        const trustedDevice = passwordCorrect && findTrustedDevice(req, user);
+        if (trustedDevice) {
+          await store.updateUser(username, {
+            trustedDevices: user.trustedDevices.map(device =>
+              device.id === trustedDevice.id
+                ? { ...device, lastUsedDate: Date.now() }
+                : device
+            )
+          });
+          await recordEvent(req, auditEventTypes.SECOND_FACTOR, user, {
+            method: TRUSTED_DEVICE_METHOD
+          });
+          await completeAuthentication(req, res);
+          return;
+        }
+        // Set the authStatus in the session so that it can be checked in server.js
+        req.session.authStatus = authStatuses.NEED_SECOND_FACTOR;
+        // And set it in the response so that it can be checked by the client
+        res.status(200).json({
+          msg:
+            "Need two factors because two-factor-authentication was configured for this account",
+          authStatus: authStatuses.NEED_SECOND_FACTOR
+        });
+      } else {
+        res.status(500).json({ error: "Unkown authentication type" });
+      }
+    }
+  );
+
+  /**
+   * List the ways the user can provide their second factor, so that the client can offer a choice
+   *
+   * Input:
+   * req.session:
+   * {
+       username: String,
+       isPasswordCorrect: Boolean, // See /initialize-authentication
+       ...
+   * }
+   *
+   * Response:
+   * {
+       methods: String[], // Some of secondFactorMethods
+       trustedDeviceDays: Number, // How long "remember this device" lasts, 0 if it's not offered
+       isAccountRecoveryAvailable: Boolean // Whether POST /account-recovery can be offered
+   * }
+   **/
+  router.get("/two-factor-methods", csrfCheck, async (req, res) => {
+    const username = getSecondFactorUsername(req);
+    const user = username && (await store.findUserByUsername(username));
+    if (!user) {
+      res.status(401).json({ error: GENERIC_AUTH_ERROR_MESSAGE });
+      return;
+    }
+    res.status(200).json({
+      methods: getSecondFactorMethods(user),
+      trustedDeviceDays: authSettings.TRUSTED_DEVICE_DAYS,
+      isAccountRecoveryAvailable: Boolean(accountRecovery)
+    });
+  });
+
+  /**
+   * Get options that are required to call navigator.credential.get()
+   *
+   * Input:
+   * req.body: similar format as output
+   *
+   * Response:
+   * {
+       challenge: String,
+       ceremonyId: String, // Sent back with the response by clients without cookies, see startCeremony
+       userVerification: String, // ('required'|'preferred'|'discouraged'),
+       allowCredentials: [{
+         id: String,
+         type: 'public-key',
+         transports: String[], // One or several of https://www.w3.org/TR/webauthn-2/#dom-publickeycredentialdescriptor-transports 
+       }, ...]
+   * }```
+   **/
+  router.post("/two-factor-options", csrfCheck, async (req, res) => {
     try {
-      // excludeCredentials represent the existing authenticators
-      const excludeCredentials = [];
-      if (user.credentials.length > 0) {
-        for (let cred of user.credentials) {
-          excludeCredentials.push({
-            id: cred.credId,
-            type: "public-key",
-            transports: cred.transports || []
+      const username = getSecondFactorUsername(req);
+      const user = username && (await store.findUserByUsername(username));
+      if (!user) {
+        res.status(401).json({ error: GENERIC_AUTH_ERROR_MESSAGE });
+        return;
+      }
+      const userVerification = "preferred";
+      const allowCredentials = [];
+      for (let cred of user.credentials) {
+        allowCredentials.push({
+          id: cred.credId,
+          type: "public-key",
+          transports: cred.transports || []
+        });
+      }
+      const options = fido2.generateAssertionOptions({
+        timeout: authSettings.FIDO_TIMEOUT,
+        rpID: authSettings.RP_ID,
+        allowCredentials,
+        // userVerification is an optional value that controls whether or not the authenticator needs be able to uniquely
+        // identify the user interacting with it (via built-in PIN pad, fingerprint scanner, etc...)
+        userVerification
+      });
+      const ceremonyId = await startCeremony(
+        req,
+        ceremonyTypes.TWO_FACTOR,
+        options.challenge,
+        user.username
+      );
+
+      res.status(200).json({ ...options, ceremonyId });
+    } catch (e) {
+      res.status(400).json({
+        error: `Getting two-factor authentication options failed: ${GENERIC_AUTH_ERROR_MESSAGE}`
+      });
+    }
+  });
+
+  /**
+   * Authenticate the user
+   *
+   * Input:
+   * req.body.credential:
+   * {
+       id: String,
+       type: String, // E,g. 'public-key'
+       rawId: String,
+       response: {
+         clientDataJSON: String,
+         authenticatorData: String,
+         signature: String,
+         userHandle: String
+       }
+   * }
+   * req.body.rememberDevice: Boolean // Skip the second factor on this browser from now on
+   * req.body.ceremonyId: String // From /two-factor-options, optional for clients with cookies
+   **/
+  router.post(
+    "/authenticate-two-factor",
+    csrfCheck,
+    throttleCheck(throttledSteps.SECOND_FACTOR, getSecondFactorUsername),
+    ceremonyCheck(ceremonyTypes.TWO_FACTOR, getSecondFactorUsername),
+    async (req, res) => {
+      const { body, expectedChallenge } = req;
+      const { credential: credentialFromClient } = body;
+      const expectedRPID = authSettings.RP_ID;
+      const { username, isPasswordCorrect } = req.session;
+      if (!username || !isPasswordCorrect) {
+        await countFailure(req, throttledSteps.SECOND_FACTOR);
+        res.status(401).json({
+          error: `Authentication failed: ${GENERIC_AUTH_ERROR_MESSAGE}`
+        });
+        return;
+      }
+      if (!isAssertion(credentialFromClient)) {
+        res.status(400).json({ error: "Invalid credential" });
+        return;
+      }
+      const user = await store.findUserByUsername(username);
+      if (!user) {
+        res.status(401).json({
+          error: `Authentication failed: ${GENERIC_AUTH_ERROR_MESSAGE}`
+        });
+        return;
+      }
+      let credentialFromServer = user.credentials.find(
+        cred => cred.credId === credentialFromClient.id
+      );
+      const eventFields = {
+        method: secondFactorMethods.WEBAUTHN,
+        credId: credentialFromClient.id,
+        credentialName: credentialFromServer && credentialFromServer.name
+      };
+      if (!credentialFromServer) {
+        await recordEvent(req, auditEventTypes.SECOND_FACTOR, user, {
+          ...eventFields,
+          success: false
+        });
+        res.status(401).json({
+          error: `Authentication failed: ${GENERIC_AUTH_ERROR_MESSAGE}`
+        });
+        return;
+      }
+      try {
+        const verification = fido2.verifyAssertionResponse({
+          credential: credentialFromClient,
+          expectedChallenge,
+          expectedOrigin: getExpectedOrigin(credentialFromClient),
+          expectedRPID,
+          // The counter is checked by recordCredentialUse, which applies the clone policy
+          authenticator: { ...credentialFromServer, counter: 0 }
+        });
+        const { verified, authenticatorInfo } = verification;
+        if (
+          !verified ||
+          !(await recordCredentialUse(
+            req,
+            username,
+            credentialFromServer,
+            authenticatorInfo.counter
+          ))
+        ) {
+          await recordEvent(req, auditEventTypes.SECOND_FACTOR, user, {
+            ...eventFields,
+            success: false
           });
+          res.status(401).json({
+            error: `Authentication failed: ${GENERIC_AUTH_ERROR_MESSAGE}`
+          });
+          return;
+        }
+        await recordEvent(
+          req,
+          auditEventTypes.SECOND_FACTOR,
+          user,
+          eventFields
+        );
+        if (body.rememberDevice) {
+          await trustDevice(req, res, user);
         }
+        // Remembered in the session, so that removing the credential can revoke the session
+        req.session.credId = credentialFromServer.credId;
+        await completeAuthentication(req, res);
+      } catch (e) {
+        await recordEvent(req, auditEventTypes.SECOND_FACTOR, user, {
+          ...eventFields,
+          success: false
+        });
+        res.status(400).json({ error: e.message });
       }
+    }
+  );
 
-      const options = fido2.generateAttestationOptions({
-        rpName: authSettings.RP_NAME,
+  /**
+   * Get options that are required to call navigator.credential.get() without a username
+   *
+   * allowCredentials is left empty, so that the browser offers any discoverable credential (passkey)
+   * registered for this RP, e.g. in the autofill UI of the username field
+   *
+   * Response:
+   * {
+       challenge: String,
+       ceremonyId: String, // Sent back with the response by clients without cookies, see startCeremony
+       userVerification: String, // Always 'required'
+       rpId: String,
+       timeout: Number
+   * }
+   **/
+  router.post("/passwordless-options", csrfCheck, async (req, res) => {
+    try {
+      const options = fido2.generateAssertionOptions({
+        timeout: authSettings.FIDO_TIMEOUT,
         rpID: authSettings.RP_ID,
-        userID: user.id,
-        userName: username,
+        // The passkey replaces both the password and the second factor, so the user must be verified
+        userVerification: "required"
+      });
+      const ceremonyId = await startCeremony(
+        req,
+        ceremonyTypes.PASSWORDLESS,
+        options.challenge
+      );
+
+      res.status(200).json({ ...options, ceremonyId });
+    } catch (e) {
+      res.status(400).json({
+        error: `Getting passwordless authentication options failed: ${GENERIC_AUTH_ERROR_MESSAGE}`
+      });
+    }
+  });
+
+  /**
+   * Authenticate the user with a discoverable credential; the user is found via the userHandle
+   *
+   * Input:
+   * req.body.credential:
+   * {
+       id: String,
+       type: String, // E,g. 'public-key'
+       rawId: String,
+       response: {
+         clientDataJSON: String,
+         authenticatorData: String,
+         signature: String,
+         userHandle: String // The user.id passed at registration
+       }
+   * }
+   * req.body.ceremonyId: String // From /passwordless-options, optional for clients with cookies
+   **/
+  router.post(
+    "/authenticate-passwordless",
+    csrfCheck,
+    throttleCheck(throttledSteps.PASSWORDLESS, () => null),
+    ceremonyCheck(ceremonyTypes.PASSWORDLESS),
+    async (req, res) => {
+      const { expectedChallenge } = req;
+      const { credential: credentialFromClient } = req.body;
+      const expectedRPID = authSettings.RP_ID;
+      const userHandle =
+        isAssertion(credentialFromClient) &&
+        credentialFromClient.response.userHandle;
+      const user = userHandle && (await store.findUserById(userHandle));
+      const credentialFromServer =
+        user &&
+        user.credentials.find(cred => cred.credId === credentialFromClient.id);
+      // Without a known credential, there's no user to record an event for
+      if (!credentialFromServer) {
+        await countFailure(req, throttledSteps.PASSWORDLESS);
+        res.status(401).json({
+          error: `Authentication failed: ${GENERIC_AUTH_ERROR_MESSAGE}`
+        });
+        return;
+      }
+      const eventFields = {
+        credId: credentialFromServer.credId,
+        credentialName: credentialFromServer.name
+      };
+      try {
+        const { verified, authenticatorInfo } = fido2.verifyAssertionResponse({
+          credential: credentialFromClient,
+          expectedChallenge,
+          expectedOrigin: getExpectedOrigin(credentialFromClient),
+          expectedRPID,
+          // The counter is checked by recordCredentialUse, which applies the clone policy
+          authenticator: { ...credentialFromServer, counter: 0 },
+          fidoUserVerification: "required"
+        });
+        if (
+          !verified ||
+          !(await recordCredentialUse(
+            req,
+            user.username,
+            credentialFromServer,
+            authenticatorInfo.counter
+          ))
+        ) {
+          await recordEvent(req, auditEventTypes.PASSKEY, user, {
+            ...eventFields,
+            success: false
+          });
+          res.status(401).json({
+            error: `Authentication failed: ${GENERIC_AUTH_ERROR_MESSAGE}`
+          });
+          return;
+        }
+        await recordEvent(req, auditEventTypes.PASSKEY, user, eventFields);
+        req.session.username = user.username;
+        req.session.isPasskeyVerified = true;
+        req.session.credId = credentialFromServer.credId;
+        await completeAuthentication(req, res);
+      } catch (e) {
+        await recordEvent(req, auditEventTypes.PASSKEY, user, {
+          ...eventFields,
+          success: false
+        });
+        res.status(400).json({ error: e.message });
+      }
+    }
+  );
+
+  /**
+   * Authenticate the user with a recovery code instead of their security key
+   *
+   * Each code can only be used once
+   *
+   * Input:
+   * req.body:
+   * {
+       code: String,
+       rememberDevice: Boolean // Skip the second factor on this browser from now on
+   * }
+   **/
+  router.post(
+    "/authenticate-recovery-code",
+    csrfCheck,
+    check("code")
+      .notEmpty()
+      .isString(),
+    throttleCheck(throttledSteps.SECOND_FACTOR, getSecondFactorUsername),
+    async (req, res) => {
+      const { username, isPasswordCorrect } = req.session;
+      const validationErrors = validationResult(req);
+      if (!username || !isPasswordCorrect || !validationErrors.isEmpty()) {
+        await countFailure(
+          req,
+          throttledSteps.SECOND_FACTOR,
+          getSecondFactorUsername(req)
+        );
+        res.status(401).json({
+          error: `Authentication failed: ${GENERIC_AUTH_ERROR_MESSAGE}`
+        });
+        return;
+      }
+      const user = await store.findUserByUsername(username);
+      if (!user) {
+        res.status(401).json({
+          error: `Authentication failed: ${GENERIC_AUTH_ERROR_MESSAGE}`
+        });
+        return;
+      }
+      const recoveryCodes = user.recoveryCodes || [];
+      const codeIndex = findRecoveryCode(recoveryCodes, req.body.code);
+      const eventFields = { method: secondFactorMethods.RECOVERY_CODE };
+      if (codeIndex === -1) {
+        await recordEvent(req, auditEventTypes.SECOND_FACTOR, user, {
+          ...eventFields,
+          success: false
+        });
+        res.status(401).json({
+          error: `Authentication failed: ${GENERIC_AUTH_ERROR_MESSAGE}`
+        });
+        return;
+      }
+      // Consume the code
+      await store.updateUser(username, {
+        recoveryCodes: recoveryCodes.filter(
+          (hash, index) => index !== codeIndex
+        )
+      });
+      await recordEvent(req, auditEventTypes.SECOND_FACTOR, user, eventFields);
+      if (req.body.rememberDevice) {
+        await trustDevice(req, res, user);
+      }
+      await completeAuthentication(req, res);
+    }
+  );
+
+  /**
+   * Authenticate the user with a code from their authenticator app
+   *
+   * A code is accepted once: codes of the same or an earlier time step are refused afterwards
+   *
+   * Input:
+   * req.body:
+   * {
+       code: String,
+       rememberDevice: Boolean // Skip the second factor on this browser from now on
+   * }
+   **/
+  router.post(
+    "/authenticate-totp",
+    csrfCheck,
+    check("code")
+      .notEmpty()
+      .isString(),
+    throttleCheck(throttledSteps.SECOND_FACTOR, getSecondFactorUsername),
+    async (req, res) => {
+      const { username, isPasswordCorrect } = req.session;
+      const validationErrors = validationResult(req);
+      if (!username || !isPasswordCorrect || !validationErrors.isEmpty()) {
+        await countFailure(
+          req,
+          throttledSteps.SECOND_FACTOR,
+          getSecondFactorUsername(req)
+        );
+        res.status(401).json({
+          error: `Authentication failed: ${GENERIC_AUTH_ERROR_MESSAGE}`
+        });
+        return;
+      }
+      const user = await store.findUserByUsername(username);
+      if (!user) {
+        res.status(401).json({
+          error: `Authentication failed: ${GENERIC_AUTH_ERROR_MESSAGE}`
+        });
+        return;
+      }
+      const matchedStep = user.totp
+        ? verifyTotp({
+            secret: user.totp.secret,
+            code: req.body.code,
+            window: authSettings.TOTP_WINDOW,
+            lastUsedStep: user.totp.lastUsedStep
+          })
+        : null;
+      const eventFields = { method: secondFactorMethods.TOTP };
+      if (matchedStep === null) {
+        await recordEvent(req, auditEventTypes.SECOND_FACTOR, user, {
+          ...eventFields,
+          success: false
+        });
+        res.status(401).json({
+          error: `Authentication failed: ${GENERIC_AUTH_ERROR_MESSAGE}`
+        });
+        return;
+      }
+      // Remember the step to prevent replays
+      await store.updateUser(username, {
+        totp: { ...user.totp, lastUsedStep: matchedStep }
+      });
+      await recordEvent(req, auditEventTypes.SECOND_FACTOR, user, eventFields);
+      if (req.body.rememberDevice) {
+        await trustDevice(req, res, user);
+      }
+      await completeAuthentication(req, res);
+    }
+  );
+
+  // ----------------------------------------------------------------------------
+  // Step-up re-authentication
+  // ----------------------------------------------------------------------------
+
+  /**
+   * Get options to confirm the user's identity with one of their credentials before a sensitive
+   * operation
+   *
+   * Input:
+   * req.session:
+   * {
+       username: String,
+       ...
+   * }
+   *
+   * Response: as for /two-factor-options
+   **/
+  router.post(
+    "/reauthentication-options",
+    csrfCheck,
+    sessionCheck,
+    async (req, res) => {
+      const user = await store.findUserByUsername(req.session.username);
+      if (!user) {
+        res.status(401).json({ error: "Not authenticated" });
+        return;
+      }
+      if (!user.credentials.length) {
+        res.status(400).json({ error: "No security key is registered" });
+        return;
+      }
+      const options = fido2.generateAssertionOptions({
         timeout: authSettings.FIDO_TIMEOUT,
-        // Prompt user for additional information about the authenticator
-        // Prevent user from re-registering existing authenticators
-        excludeCredentials,
-        authenticatorSelection: {
-          authenticatorAttachment: authSettings.AUTHENTICATOR_ATTACHEMENT,
-          residentKey: authSettings.RESIDENT_KEY,
-          requireResidentKey: authSettings.REQUIRE_RESIDENT_KEY,
-          userVerification: authSettings.USER_VERIFICATION
-        },
-        // As per https://www.w3.org/TR/webauthn-2/
-        pubKeyCredParams: [
-          {
-            type: "public-key",
-            alg: -7
-          },
-          {
-            type: "public-key",
-            alg: -257
+        rpID: authSettings.RP_ID,
+        allowCredentials: user.credentials.map(cred => ({
+          id: cred.credId,
+          type: "public-key",
+          transports: cred.transports || []
+        })),
+        userVerification: "preferred"
+      });
+      const ceremonyId = await startCeremony(
+        req,
+        ceremonyTypes.REAUTHENTICATION,
+        options.challenge,
+        user.username
+      );
+      res.status(200).json({ ...options, ceremonyId });
+    }
+  );
+
+  /**
+   * Confirm the user's identity with a WebAuthn assertion or their password, which allows sensitive
+   * operations for authSettings.REAUTHENTICATION_WINDOW (see recentAuthenticationCheck)
+   *
+   * Input:
+   * req.body:
+   * {
+       credential: Object, // As for /authenticate-two-factor
+       ceremonyId: String // From /reauthentication-options, optional for clients with cookies
+   * }
+   * or
+   * {
+       password: String
+   * }
+   *
+   * Response as JSON:
+   * {
+       msg: String
+   * }
+   * or
+   * {
+       error: String
+   * }
+   **/
+  router.post(
+    "/reauthenticate",
+    csrfCheck,
+    enrollmentSessionCheck,
+    throttleCheck(throttledSteps.SIGN_IN, req => req.session.username),
+    async (req, res) => {
+      const { username } = req.session;
+      const { credential: credentialFromClient, password } = req.body;
+      const user = await store.findUserByUsername(username);
+      if (!user) {
+        res.status(401).json({ error: "Not authenticated" });
+        return;
+      }
+      if (credentialFromClient && !isAssertion(credentialFromClient)) {
+        res.status(400).json({ error: "Invalid credential" });
+        return;
+      }
+      let verified = false;
+      let eventFields;
+      if (credentialFromClient) {
+        let expectedChallenge;
+        try {
+          expectedChallenge = await takeCeremonyChallenge(
+            req,
+            ceremonyTypes.REAUTHENTICATION,
+            username
+          );
+        } catch (e) {
+          res.status(400).json({ error: e.message, code: e.code });
+          return;
+        }
+        const credentialFromServer = user.credentials.find(
+          cred => cred.credId === credentialFromClient.id
+        );
+        eventFields = {
+          method: reauthenticationMethods.WEBAUTHN,
+          credId: credentialFromClient.id,
+          credentialName: credentialFromServer && credentialFromServer.name
+        };
+        if (credentialFromServer) {
+          try {
+            const verification = fido2.verifyAssertionResponse({
+              credential: credentialFromClient,
+              expectedChallenge,
+              expectedOrigin: getExpectedOrigin(credentialFromClient),
+              expectedRPID: authSettings.RP_ID,
+              // The counter is checked by recordCredentialUse, which applies the clone policy
+              authenticator: { ...credentialFromServer, counter: 0 }
+            });
+            verified =
+              verification.verified &&
+              (await recordCredentialUse(
+                req,
+                username,
+                credentialFromServer,
+                verification.authenticatorInfo.counter
+              ));
+          } catch (e) {
+            verified = false;
           }
-        ]
+        }
+      } else {
+        eventFields = { method: reauthenticationMethods.PASSWORD };
+        verified =
+          typeof password === "string" &&
+          (await isPasswordCorrect(user, password));
+      }
+      await recordEvent(req, auditEventTypes.REAUTHENTICATION, user, {
+        ...eventFields,
+        success: verified
       });
-      req.session.challenge = options.challenge;
-      res.status(200).json(options);
-    } catch (e) {
-      res.status(400).json({ error: e.message });
+      if (!verified) {
+        res.status(401).json({
+          error: `Confirmation failed: ${GENERIC_AUTH_ERROR_MESSAGE}`
+        });
+        return;
+      }
+      await resetThrottling(req, username);
+      req.session.lastAuthenticationDate = Date.now();
+      res.status(200).json({ msg: "Identity confirmed" });
+    }
+  );
+
+  // ----------------------------------------------------------------------------
+  // Credential management
+  // ----------------------------------------------------------------------------
+
+  /**
+   * Return a user and their credentials
+   *
+   * Input:
+   * req.session:
+   * {
+       username: String,
+       ...
+   * }
+   *
+   * Response:
+   * {
+      username: String,
+      totp: { creationDate: Number }, // null if no authenticator app is set up
+      recoveryCodesLeft: Number,
+      credentials: Credential[]
+   * }
+   * Credential:
+   * {
+      credId: String,
+      publicKey: String,
+      aaguid: String,
+      authenticatorName: String, // Model name from the metadata, e.g. 'YubiKey 5 NFC'
+      attestationVerified: Boolean,
+      icon: String, // Data URL of the model's icon from the metadata
+      counter: Number,
+      cloneDetectionDate: Number, // Set if the signature counter went backwards (possible clone)
+      name: String,
+      creationDate: Number,
+      transports: String[],
+      isResidentKey: Boolean, // Undefined if the browser didn't tell
+      algorithm: String, // Signature algorithm, e.g. 'ES256'
+      lastUsedDate: Number, // Last successful assertion; undefined if never used
+      lastUsedIp: String,
+      lastUsedUserAgent: String,
+      useCount: Number
+   * }
+  **/
+  router.get("/credentials", csrfCheck, sessionCheck, async (req, res) => {
+    const { username } = req.session;
+    const user = await store.findUserByUsername(username);
+    res.status(200).json(getPublicUser(user));
+  });
+
+  /**
+   * Remove a credential attached to the user
+   *
+   * Input:
+   * req.session:
+   * {
+       username: String,
+       ...
+   * }
+   * req.query:
+   * {
+       credId: String,
+       revokeSessions: String, // 'true' to also sign out of the other sessions signed in with it
+       ...
+   * }
+   *
+   * Response: empty JSON
+   **/
+  router.delete(
+    "/credential",
+    csrfCheck,
+    sessionCheck,
+    recentAuthenticationCheck,
+    async (req, res) => {
+      const { credId } = req.query;
+      const { username } = req.session;
+      const userBefore = await store.findUserByUsername(username);
+      const removedCredential = userBefore.credentials.find(
+        cred => cred.credId === credId
+      );
+      const removalError =
+        removedCredential && lastSecondFactorError(userBefore, { credId });
+      if (removalError) {
+        res.status(409).json(removalError);
+        return;
+      }
+      await store.removeCredential(username, credId);
+      const user = await store.findUserByUsername(username);
+      if (removedCredential) {
+        await recordEvent(req, auditEventTypes.CREDENTIAL_REMOVED, user, {
+          credId,
+          credentialName: removedCredential.name
+        });
+        await runHook("onCredentialRemoved", {
+          req,
+          user,
+          credential: removedCredential
+        });
+        notify(req, notificationTypes.CREDENTIAL_REMOVED, user, {
+          credentialName: getCredentialDescription(removedCredential)
+        });
+        await forgetTrustedDevices(req, user);
+      }
+      if (req.query.revokeSessions === "true") {
+        const sessions = await findActiveSessions(username);
+        await revokeSessions(
+          req,
+          user,
+          sessions.filter(
+            ({ sid, data }) => data.credId === credId && sid !== req.sessionID
+          )
+        );
+      }
+      res.status(200).json(getPublicUser(user));
+    }
+  );
+
+  /**
+   * Update an existing credential's name
+   *
+   * Input:
+   * req.session:
+   * {
+       username: String,
+       ...
+   * }
+   * req.query:
+   * {
+       name: String,
+       credId: String,
+       ...
+   * }
+   *
+   * Response: 
+   * User as JSON string
+   **/
+  router.put(
+    "/credential",
+    csrfCheck,
+    sessionCheck,
+    check("credId").escape(),
+    check("name")
+      .trim()
+      .escape(),
+    async (req, res) => {
+      // Validate the input
+      const validationErrors = validationResult(req);
+      if (!validationErrors.isEmpty()) {
+        return res.status(400).json({ error: validationErrors.array() });
+      }
+
+      const { credId, name: newName } = req.query;
+
+      try {
+        const { username } = req.session;
+        const { credentials } = await store.findUserByUsername(username);
+        if (!credentials.some(el => el.credId === credId)) {
+          throw new Error("Credential not found");
+        }
+        // Normally empty name in the frontend means the renaming request is not sent. This is an extra protection
+        await store.updateCredential(username, credId, { name: newName || "" });
+        const user = await store.findUserByUsername(username);
+        await recordEvent(req, auditEventTypes.CREDENTIAL_RENAMED, user, {
+          credId,
+          credentialName: newName || ""
+        });
+        res.status(200).json(getPublicUser(user));
+      } catch (e) {
+        res.status(400).json({ error: e.message });
+      }
+    }
+  );
+
+  /**
+   * Register a new credential
+   *
+   * Input: 
+   * req.session:
+   * {
+       username: String,
+       ...
+   * }
+   * req.body:
+   * {
+       ceremonyId: String, // From /credential-options, optional for clients with cookies
+       id: String, // New credential's ID
+       type: String, // E.g. 'public-key'
+       rawId: ArrayBuffer,
+       response: {
+         clientDataJSON: String, 
+         attestationObject: String, 
+         signature: String, 
+         userHandle: String, 
+       }
+       transports: String[], // One or several of https://www.w3.org/TR/webauthn-2/#dom-publickeycredentialdescriptor-transports 
+   * }
+   * 
+   * Response: 
+   * User as JSON string
+   * or, if the authenticator doesn't comply with the registration policy (status 403)
+   * {
+       error: String,
+       code: String, // One of policyViolations
+       aaguid: String
+   * }
+   **/
+  router.post(
+    "/credential",
+    csrfCheck,
+    enrollmentSessionCheck,
+    ceremonyCheck(ceremonyTypes.REGISTRATION, req => req.session.username),
+    check("credId").escape(),
+    async (req, res) => {
+      const { username } = req.session;
+      const { body, expectedChallenge } = req;
+      const { id: credId, transports, credProps } = body;
+      const expectedRPID = authSettings.RP_ID;
+
+      try {
+        // Verify the user via fido
+        const verification = await fido2.verifyAttestationResponse({
+          credential: body,
+          expectedChallenge,
+          expectedOrigin: getExpectedOrigin(body),
+          expectedRPID,
+          supportedAlgorithmIDs: authSettings.ALGORITHM_IDS
+        });
+
+        const { verified, userVerified, authenticatorInfo } = verification;
+        if (!verified) {
+          return res.status(400).json({ error: "User verification failed" });
+        }
+        // Validate the input
+        const validationErrors = validationResult(req);
+        if (!validationErrors.isEmpty()) {
+          return res.status(400).json({ error: validationErrors.array() });
+        }
+        const {
+          base64PublicKey,
+          base64CredentialID,
+          counter
+        } = authenticatorInfo;
+        // Throws if the attestation contradicts the metadata
+        const {
+          aaguid,
+          authenticatorName,
+          attestationVerified
+        } = identifyAuthenticator(body.response.attestationObject);
+        // Refuse authenticators that don't comply with the registration policy
+        const policyViolation = checkRegistrationPolicy(
+          authSettings.REGISTRATION_POLICY,
+          { aaguid, attestationVerified, userVerified }
+        );
+        if (policyViolation) {
+          return res.status(403).json({ ...policyViolation, aaguid });
+        }
+        const user = await store.findUserByUsername(username);
+        const existingCred = user.credentials.find(
+          cred => cred.credId === base64CredentialID
+        );
+        if (!existingCred) {
+          const newCredential = {
+            publicKey: base64PublicKey,
+            credId: base64CredentialID,
+            counter,
+            aaguid,
+            authenticatorName,
+            attestationVerified,
+            // the credential isn't given a name upon creation
+            name: "",
+            transports: transports || [],
+            creationDate: Date.now()
+          };
+          // Add the "is resident key" info if available i.e. if the client has supplied credProps
+          if (credProps) {
+            newCredential.isResidentKey = credProps.rk;
+          }
+          // Add the returned device to the user's list of devices
+          await store.addCredential(username, newCredential);
+          await recordEvent(req, auditEventTypes.CREDENTIAL_REGISTERED, user, {
+            credId: base64CredentialID,
+            authenticatorName
+          });
+          await runHook("onRegistered", {
+            req,
+            user,
+            credential: newCredential
+          });
+          notify(req, notificationTypes.CREDENTIAL_ADDED, user, {
+            credentialName: getCredentialDescription(newCredential)
+          });
+          await forgetTrustedDevices(req, user);
+          if (user.mustEnrollSecurityKey) {
+            await store.updateUser(username, { mustEnrollSecurityKey: false });
+            req.session.mustEnrollSecurityKey = false;
+          }
+          completeEnrollment(req, { ...user, mustEnrollSecurityKey: false });
+        }
+        // Respond with user data
+        res.json(getPublicUser(await store.findUserByUsername(username)));
+      } catch (e) {
+        res.status(400).json({ error: e.message });
+      }
+    }
+  );
+
+  /**
+   * Get options that are required to call navigator.credential.create()
+   *
+   * Input: 
+   * req.session:
+   * {
+       username: String,
+       ...
+   * }
+   *
+   * Response: 
+   * {
+       rp: {
+         id: String,
+         name: String
+       },
+       user: {
+         displayName: String,
+         id: String,
+         name: String
+       },
+       publicKeyCredParams: [{
+         type: 'public-key', alg: -7
+       }],
+       timeout: Number,
+       challenge: String,
+       ceremonyId: String, // Sent back with the response by clients without cookies, see startCeremony
+       excludeCredentials: [{
+         id: String,
+         type: 'public-key',
+         transports: String[], // One or several of https://www.w3.org/TR/webauthn-2/#dom-publickeycredentialdescriptor-transports 
+       }, ...],
+       authenticatorSelection: {
+         authenticatorAttachment: String,
+         requireResidentKey: String,
+         userVerification: String // 'required'|'preferred'|'discouraged'
+       },
+       attestation: String // 'none'|'indirect'|'direct'
+   * }
+   **/
+  router.post(
+    "/credential-options",
+    csrfCheck,
+    enrollmentSessionCheck,
+    recentAuthenticationCheck,
+    async (req, res) => {
+      const { username } = req.session;
+      const user = await store.findUserByUsername(username);
+      try {
+        // excludeCredentials represent the existing authenticators
+        const excludeCredentials = [];
+        if (user.credentials.length > 0) {
+          for (let cred of user.credentials) {
+            excludeCredentials.push({
+              id: cred.credId,
+              type: "public-key",
+              transports: cred.transports || []
+            });
+          }
+        }
+
+        const { requireUserVerification } = authSettings.REGISTRATION_POLICY;
+        const options = fido2.generateAttestationOptions({
+          rpName: authSettings.RP_NAME,
+          rpID: authSettings.RP_ID,
+          userID: user.id,
+          userName: username,
+          timeout: authSettings.FIDO_TIMEOUT,
+          attestationType: authSettings.ATTESTATION,
+          // Prompt user for additional information about the authenticator
+          // Prevent user from re-registering existing authenticators
+          excludeCredentials,
+          authenticatorSelection: {
+            authenticatorAttachment: authSettings.AUTHENTICATOR_ATTACHEMENT,
+            residentKey: authSettings.RESIDENT_KEY,
+            requireResidentKey: authSettings.REQUIRE_RESIDENT_KEY,
+            userVerification: requireUserVerification
+              ? "required"
+              : authSettings.USER_VERIFICATION
+          },
+          // Sent as pubKeyCredParams, as per https://www.w3.org/TR/webauthn-2/
+          supportedAlgorithmIDs: authSettings.ALGORITHM_IDS
+        });
+        const ceremonyId = await startCeremony(
+          req,
+          ceremonyTypes.REGISTRATION,
+          options.challenge,
+          username
+        );
+        res.status(200).json({ ...options, ceremonyId });
+      } catch (e) {
+        res.status(400).json({ error: e.message });
+      }
+    }
+  );
+
+  // ----------------------------------------------------------------------------
+  // Authenticator app (TOTP)
+  // ----------------------------------------------------------------------------
+
+  /**
+   * Start setting up an authenticator app: generate a secret, to be confirmed with POST /totp
+   *
+   * The secret stays in the session until it's confirmed, so that a user who doesn't finish the
+   * setup can't get locked out. As with security keys, the user must have authenticated recently
+   * (see recentAuthenticationCheck)
+   *
+   * Input:
+   * req.session:
+   * {
+       username: String,
+       ...
+   * }
+   *
+   * Response:
+   * {
+       secret: String, // base32, for manual entry in the app
+       uri: String, // otpauth:// URI
+       qrCode: String // Data URL of the QR code encoding the URI, rendered on the server
+   * }
+   **/
+  router.post(
+    "/totp-options",
+    csrfCheck,
+    enrollmentSessionCheck,
+    recentAuthenticationCheck,
+    securityKeyFirstCheck,
+    async (req, res) => {
+      const { username } = req.session;
+      try {
+        const secret = generateTotpSecret();
+        const uri = getTotpUri({
+          secret,
+          issuer: authSettings.RP_NAME,
+          accountName: username
+        });
+        const qrCode = await QRCode.toDataURL(uri);
+        req.session.pendingTotpSecret = secret;
+        res.status(200).json({ secret, uri, qrCode });
+      } catch (e) {
+        res.status(400).json({ error: e.message });
+      }
+    }
+  );
+
+  /**
+   * Finish setting up an authenticator app, with a code it generated from the pending secret
+   *
+   * Input:
+   * req.body:
+   * {
+       code: String
+   * }
+   *
+   * Response:
+   * User as JSON string
+   **/
+  router.post(
+    "/totp",
+    csrfCheck,
+    enrollmentSessionCheck,
+    recentAuthenticationCheck,
+    securityKeyFirstCheck,
+    check("code")
+      .notEmpty()
+      .isString(),
+    async (req, res) => {
+      const { username, pendingTotpSecret } = req.session;
+      const validationErrors = validationResult(req);
+      if (!validationErrors.isEmpty()) {
+        return res.status(400).json({ error: validationErrors.array() });
+      }
+      if (!pendingTotpSecret) {
+        return res
+          .status(400)
+          .json({ error: "No authenticator app setup in progress" });
+      }
+      const matchedStep = verifyTotp({
+        secret: pendingTotpSecret,
+        code: req.body.code,
+        window: authSettings.TOTP_WINDOW
+      });
+      if (matchedStep === null) {
+        return res.status(400).json({ error: "Invalid code, try again" });
+      }
+      await store.updateUser(username, {
+        totp: {
+          secret: pendingTotpSecret,
+          creationDate: Date.now(),
+          lastUsedStep: matchedStep
+        }
+      });
+      delete req.session.pendingTotpSecret;
+      const user = await store.findUserByUsername(username);
+      completeEnrollment(req, user);
+      await recordEvent(req, auditEventTypes.TOTP_ENROLLED, user);
+      notify(req, notificationTypes.CREDENTIAL_ADDED, user, {
+        credentialName: TOTP_DESCRIPTION
+      });
+      await forgetTrustedDevices(req, user);
+      res.status(200).json(getPublicUser(user));
+    }
+  );
+
+  /**
+   * Remove the authenticator app
+   *
+   * Response:
+   * User as JSON string
+   **/
+  router.delete(
+    "/totp",
+    csrfCheck,
+    sessionCheck,
+    recentAuthenticationCheck,
+    async (req, res) => {
+      const { username } = req.session;
+      const removalError = lastSecondFactorError(
+        await store.findUserByUsername(username),
+        { totp: true }
+      );
+      if (removalError) {
+        res.status(409).json(removalError);
+        return;
+      }
+      await store.updateUser(username, { totp: null });
+      const user = await store.findUserByUsername(username);
+      await recordEvent(req, auditEventTypes.TOTP_REMOVED, user);
+      notify(req, notificationTypes.CREDENTIAL_REMOVED, user, {
+        credentialName: TOTP_DESCRIPTION
+      });
+      await forgetTrustedDevices(req, user);
+      res.status(200).json(getPublicUser(user));
+    }
+  );
+
+  // ----------------------------------------------------------------------------
+  // Disabling two-factor authentication
+  // ----------------------------------------------------------------------------
+
+  /**
+   * Remove every second factor at once: credentials, the authenticator app and recovery codes.
+   * The user then signs in with their password only.
+   *
+   * Refused when authSettings.REQUIRE_TWO_FACTOR is set. Requires a recent authentication, and the
+   * username typed again, so that it can't happen by accident
+   *
+   * Input:
+   * req.body:
+   * {
+       confirmation: String // The username
+   * }
+   *
+   * Response:
+   * User as JSON string
+   **/
+  router.post(
+    "/disable-two-factor",
+    csrfCheck,
+    sessionCheck,
+    recentAuthenticationCheck,
+    async (req, res) => {
+      const { username } = req.session;
+      if (authSettings.REQUIRE_TWO_FACTOR) {
+        res.status(403).json({
+          error: "Two-factor authentication is required for every account",
+          code: TWO_FACTOR_REQUIRED
+        });
+        return;
+      }
+      if (req.body.confirmation !== username) {
+        res.status(400).json({
+          error:
+            "Type your username to confirm that you want to disable two-factor authentication"
+        });
+        return;
+      }
+      const userBefore = await store.findUserByUsername(username);
+      if (getAuthType(userBefore) === authTypes.SINGLE_FACTOR) {
+        res
+          .status(400)
+          .json({ error: "Two-factor authentication is already disabled" });
+        return;
+      }
+      for (const { credId } of userBefore.credentials) {
+        await store.removeCredential(username, credId);
+      }
+      await store.updateUser(username, {
+        totp: null,
+        recoveryCodes: [],
+        recoveryCodesCreationDate: null
+      });
+      const user = await store.findUserByUsername(username);
+      await recordEvent(req, auditEventTypes.TWO_FACTOR_DISABLED, user, {
+        credentialsRemoved: userBefore.credentials.length,
+        totpRemoved: Boolean(userBefore.totp)
+      });
+      for (const credential of userBefore.credentials) {
+        await runHook("onCredentialRemoved", { req, user, credential });
+      }
+      notify(req, notificationTypes.TWO_FACTOR_DISABLED, user);
+      await forgetTrustedDevices(req, user);
+      res.status(200).json({
+        ...getPublicUser(user),
+        msg:
+          "Two-factor authentication is disabled, you now sign in with your password only"
+      });
+    }
+  );
+
+  // ----------------------------------------------------------------------------
+  // Recovery codes
+  // ----------------------------------------------------------------------------
+
+  /**
+   * Generate a new batch of recovery codes, replacing the previous batch
+   *
+   * Only the codes' hashes are stored, so this response is the only time they can be seen. They're
+   * a second factor, so the user must have authenticated recently (see recentAuthenticationCheck)
+   *
+   * Input:
+   * req.session:
+   * {
+       username: String,
+       ...
+   * }
+   *
+   * Response:
+   * {
+       codes: String[]
+   * }
+   **/
+  router.post(
+    "/recovery-codes",
+    csrfCheck,
+    sessionCheck,
+    recentAuthenticationCheck,
+    async (req, res) => {
+      const { username } = req.session;
+      const { codes, hashes } = generateRecoveryCodes();
+      await store.updateUser(username, {
+        recoveryCodes: hashes,
+        recoveryCodesCreationDate: Date.now()
+      });
+      await recordEvent(
+        req,
+        auditEventTypes.RECOVERY_CODES_GENERATED,
+        await store.findUserByUsername(username)
+      );
+      res.status(200).json({ codes });
+    }
+  );
+
+  // ----------------------------------------------------------------------------
+  // Activity
+  // ----------------------------------------------------------------------------
+
+  /**
+   * Return the user's most recent security events, newest first
+   *
+   * Response:
+   * {
+       events: Event[]
+   * }
+   * Event:
+   * {
+       id: String,
+       date: Number,
+       type: String, // One of auditEventTypes
+       success: Boolean,
+       ip: String,
+       userAgent: String,
+       credId: String, // Set if a credential is involved
+       credentialName: String,
+       method: String, // Second factor events: one of secondFactorMethods
+       ...
+   * }
+   **/
+  router.get("/activity", csrfCheck, sessionCheck, async (req, res) => {
+    const { username } = req.session;
+    const user = await store.findUserByUsername(username);
+    const events = await auditLog.findUserEvents(
+      user.id,
+      authSettings.ACTIVITY_LIMIT
+    );
+    res.status(200).json({ events });
+  });
+
+  /**
+   * Download all of the user's security events as JSON Lines, newest first
+   *
+   * No CSRF check: this is a plain link, and other sites can't read the response
+   *
+   * Response: a file with one Event (see above) per line
+   **/
+  router.get("/activity.jsonl", sessionCheck, async (req, res) => {
+    const { username } = req.session;
+    const user = await store.findUserByUsername(username);
+    const events = await auditLog.findUserEvents(user.id);
+    res.attachment("activity.jsonl");
+    res.type("application/x-ndjson");
+    res.send(toJsonLines(events));
+  });
+
+  // ----------------------------------------------------------------------------
+  // Sessions
+  // ----------------------------------------------------------------------------
+
+  // Session IDs act as credentials, so the client only gets a hash of them
+  function getPublicSessionId(sid) {
+    return crypto
+      .createHash("sha256")
+      .update(sid)
+      .digest("base64")
+      .replace(/[+/=]/g, "")
+      .slice(0, 16);
+  }
+
+  // A user's sessions that haven't expired
+  async function findActiveSessions(username) {
+    const sessions = await store.findSessions({ username });
+    return sessions.filter(({ expires }) => expires > Date.now());
+  }
+
+  // Sign out of some of a user's sessions, and record it in the audit log
+  async function revokeSessions(req, user, sessions) {
+    for (const { sid } of sessions) {
+      await store.deleteSession(sid);
+    }
+    if (sessions.length) {
+      await recordEvent(req, auditEventTypes.SESSIONS_REVOKED, user, {
+        count: sessions.length
+      });
+    }
+  }
+
+  /**
+   * List the user's active sessions, most recently used first
+   *
+   * Response:
+   * {
+       sessions: Session[]
+   * }
+   * Session:
+   * {
+       id: String, // Not the session ID itself, see getPublicSessionId
+       isCurrent: Boolean, // True for the session making this request
+       creationDate: Number,
+       lastSeenDate: Number,
+       ip: String,
+       userAgent: String,
+       credentialName: String // Name of the credential used to sign in, if any
+   * }
+   **/
+  router.get("/sessions", csrfCheck, sessionCheck, async (req, res) => {
+    const { username } = req.session;
+    const user = await store.findUserByUsername(username);
+    const sessions = (await findActiveSessions(username))
+      .map(({ sid, data }) => {
+        const credential = user.credentials.find(
+          cred => cred.credId === data.credId
+        );
+        return {
+          id: getPublicSessionId(sid),
+          isCurrent: sid === req.sessionID,
+          creationDate: data.creationDate,
+          lastSeenDate: data.lastSeenDate,
+          ip: data.ip,
+          userAgent: data.userAgent,
+          credentialName: credential
+            ? credential.name ||
+              credential.authenticatorName ||
+              "Unnamed credential"
+            : undefined
+        };
+      })
+      .sort((a, b) => b.lastSeenDate - a.lastSeenDate);
+    res.status(200).json({ sessions });
+  });
+
+  /**
+   * Sign out of one of the user's sessions
+   *
+   * Input:
+   * req.query:
+   * {
+       id: String // As listed by GET /sessions
+   * }
+   **/
+  router.delete("/session", csrfCheck, sessionCheck, async (req, res) => {
+    const { username } = req.session;
+    const sessions = await findActiveSessions(username);
+    const sessionToRevoke = sessions.find(
+      ({ sid }) => getPublicSessionId(sid) === req.query.id
+    );
+    if (!sessionToRevoke) {
+      res.status(404).json({ error: "Session not found" });
+      return;
     }
+    await revokeSessions(req, await store.findUserByUsername(username), [
+      sessionToRevoke
+    ]);
+    res.status(200).json({ msg: "Signed out" });
+  });
+
+  /**
+   * Sign out of all of the user's sessions except the current one
+   **/
+  router.delete("/sessions", csrfCheck, sessionCheck, async (req, res) => {
+    const { username } = req.session;
+    const sessions = await findActiveSessions(username);
+    await revokeSessions(
+      req,
+      await store.findUserByUsername(username),
+      sessions.filter(({ sid }) => sid !== req.sessionID)
+    );
+    res.status(200).json({ msg: "Signed out everywhere else" });
+  });
+
+  // ----------------------------------------------------------------------------
+  // Trusted devices
+  // ----------------------------------------------------------------------------
+
+  // Signed with the session secret by cookie-parser, see server.js. Holds `${id}.${token}`
+  const TRUSTED_DEVICE_COOKIE = "trustedDevice";
+
+  function hashToken(token) {
+    return crypto
+      .createHash("sha256")
+      .update(token)
+      .digest("base64");
+  }
+
+  /**
+   * Let the browser skip the second factor for authSettings.TRUSTED_DEVICE_DAYS, with a cookie
+   * whose token is only stored hashed. The device is bound to the browser's User-Agent, so that a
+   * cookie copied to another browser doesn't work.
+   **/
+  async function trustDevice(req, res, user) {
+    if (!authSettings.TRUSTED_DEVICE_DAYS) {
+      return;
+    }
+    const id = base64url.encode(crypto.randomBytes(16));
+    const token = base64url.encode(crypto.randomBytes(32));
+    const userAgent = req.get("User-Agent") || "";
+    const maxAge = authSettings.TRUSTED_DEVICE_DAYS * 24 * 60 * 60 * 1000;
+    // Expired devices are dropped whenever a new one is added
+    const trustedDevices = (user.trustedDevices || []).filter(
+      device => device.expirationDate > Date.now()
+    );
+    trustedDevices.push({
+      id,
+      tokenHash: hashToken(token),
+      userAgentHash: hashToken(userAgent),
+      userAgent,
+      ip: req.ip,
+      creationDate: Date.now(),
+      expirationDate: Date.now() + maxAge,
+      lastUsedDate: null
+    });
+    await store.updateUser(user.username, { trustedDevices });
+    await recordEvent(req, auditEventTypes.TRUSTED_DEVICE_ADDED, user, {
+      deviceId: id
+    });
+    res.cookie(TRUSTED_DEVICE_COOKIE, `${id}.${token}`, {
+      signed: true,
+      httpOnly: true,
+      secure: authSettings.SECURE_COOKIES,
+      sameSite: "lax",
+      path: getCookiePath(req),
+      maxAge
+    });
+  }
+
+  // The user's trusted device matching the request's cookie and User-Agent, if it hasn't expired
+  function findTrustedDevice(req, user) {
+    const cookie =
+      req.signedCookies && req.signedCookies[TRUSTED_DEVICE_COOKIE];
+    if (!authSettings.TRUSTED_DEVICE_DAYS || typeof cookie !== "string") {
+      return undefined;
+    }
+    const [id, token = ""] = cookie.split(".");
+    const device = (user.trustedDevices || []).find(
+      device => device.id === id && device.expirationDate > Date.now()
+    );
+    if (!device) {
+      return undefined;
+    }
+    const matches = (expected, actual) =>
+      crypto.timingSafeEqual(
+        Buffer.from(expected, "base64"),
+        Buffer.from(hashToken(actual), "base64")
+      );
+    return matches(device.tokenHash, token) &&
+      matches(device.userAgentHash, req.get("User-Agent") || "")
+      ? device
+      : undefined;
+  }
+
+  // Make every trusted device ask for the second factor again, e.g. once the credentials changed
+  async function forgetTrustedDevices(req, user, deviceIds) {
+    const trustedDevices = user.trustedDevices || [];
+    const forgotten = trustedDevices.filter(
+      device => !deviceIds || deviceIds.includes(device.id)
+    );
+    if (!forgotten.length) {
+      return;
+    }
+    await store.updateUser(user.username, {
+      trustedDevices: trustedDevices.filter(
+        device => !forgotten.includes(device)
+      )
+    });
+    await recordEvent(req, auditEventTypes.TRUSTED_DEVICES_REVOKED, user, {
+      count: forgotten.length
+    });
+  }
+
+  /**
+   * List the browsers that skip the second factor, most recently trusted first
+   *
+   * Response:
+   * {
+       trustedDevices: TrustedDevice[]
+   * }
+   * TrustedDevice:
+   * {
+       id: String,
+       isCurrent: Boolean, // True for the browser making this request
+       creationDate: Number,
+       expirationDate: Number,
+       lastUsedDate: Number, // null if the second factor was never skipped
+       ip: String, // Where the device was trusted from
+       userAgent: String
+   * }
+   **/
+  router.get("/trusted-devices", csrfCheck, sessionCheck, async (req, res) => {
+    const user = await store.findUserByUsername(req.session.username);
+    const currentDevice = findTrustedDevice(req, user);
+    const trustedDevices = (user.trustedDevices || [])
+      .filter(device => device.expirationDate > Date.now())
+      .map(device => ({
+        id: device.id,
+        isCurrent: Boolean(currentDevice && currentDevice.id === device.id),
+        creationDate: device.creationDate,
+        expirationDate: device.expirationDate,
+        lastUsedDate: device.lastUsedDate,
+        ip: device.ip,
+        userAgent: device.userAgent
+      }))
+      .sort((a, b) => b.creationDate - a.creationDate);
+    res.status(200).json({ trustedDevices });
+  });
+
+  /**
+   * Make a browser ask for the second factor again
+   *
+   * Input:
+   * req.query:
+   * {
+       id: String // As listed by GET /trusted-devices
+   * }
+   **/
+  router.delete(
+    "/trusted-device",
+    csrfCheck,
+    sessionCheck,
+    async (req, res) => {
+      const user = await store.findUserByUsername(req.session.username);
+      const { id } = req.query;
+      if (!(user.trustedDevices || []).some(device => device.id === id)) {
+        res.status(404).json({ error: "Trusted device not found" });
+        return;
+      }
+      await forgetTrustedDevices(req, user, [id]);
+      res.status(200).json({ msg: "Device no longer trusted" });
+    }
+  );
+
+  // ----------------------------------------------------------------------------
+  // Known devices
+  // ----------------------------------------------------------------------------
+
+  // Browsers are told apart by a random ID kept in a cookie, which belongs to no account. Users
+  // keep the hashes of the IDs of the browsers they signed in from, most recent first, so that
+  // signing in from another one can be notified
+  const KNOWN_DEVICE_COOKIE = "deviceId";
+  const KNOWN_DEVICE_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+  const KNOWN_DEVICES_LIMIT = 20;
+
+  /**
+   * Remember the browser that signs in as one of the user's devices
+   *
+   * Response: true if the user never signed in from it before. Users who have no known device
+   * yet, like new users, don't get their first one reported as new
+   **/
+  async function recognizeDevice(req, res, user) {
+    const cookie = req.signedCookies && req.signedCookies[KNOWN_DEVICE_COOKIE];
+    const deviceId =
+      typeof cookie === "string"
+        ? cookie
+        : base64url.encode(crypto.randomBytes(16));
+    const idHash = hashToken(deviceId);
+    const knownDevices = user.knownDevices || [];
+    const isKnown = knownDevices.some(device => device.idHash === idHash);
+    await store.updateUser(user.username, {
+      knownDevices: [
+        { idHash, lastSignInDate: Date.now() },
+        ...knownDevices.filter(device => device.idHash !== idHash)
+      ].slice(0, KNOWN_DEVICES_LIMIT)
+    });
+    res.cookie(KNOWN_DEVICE_COOKIE, deviceId, {
+      signed: true,
+      httpOnly: true,
+      secure: authSettings.SECURE_COOKIES,
+      sameSite: "lax",
+      path: getCookiePath(req),
+      maxAge: KNOWN_DEVICE_MAX_AGE
+    });
+    return !isKnown && knownDevices.length > 0;
+  }
+
+  // ----------------------------------------------------------------------------
+  // Account recovery
+  // ----------------------------------------------------------------------------
+
+  // Account recovery needs a mailer, see createWebAuthnRouter
+  function accountRecoveryCheck(req, res, next) {
+    if (!accountRecovery) {
+      res.status(404).json({ error: "Account recovery isn't available" });
+      return;
+    }
+    next();
+  }
+
+  // Errors of the recovery steps are the client's, see accountRecoveryErrors
+  function sendAccountRecoveryError(res, e) {
+    if (!Object.values(accountRecoveryErrors).includes(e.code)) {
+      res.status(500).json({ error: "Account recovery failed" });
+      return;
+    }
+    res
+      .status(e.code === accountRecoveryErrors.NOT_READY ? 409 : 400)
+      .json({ error: e.message, code: e.code });
   }
-);
 
-module.exports = router;
+  /**
+   * Set where account recovery links are sent, or remove it with an empty email
+   *
+   * Input:
+   * req.body:
+   * {
+       email: String
+   * }
+   *
+   * Response:
+   * User as JSON string
+   **/
+  router.put(
+    "/recovery-email",
+    csrfCheck,
+    sessionCheck,
+    recentAuthenticationCheck,
+    check("email")
+      .optional({ checkFalsy: true })
+      .isEmail(),
+    async (req, res) => {
+      if (!validationResult(req).isEmpty()) {
+        res.status(400).json({ error: "Invalid email address" });
+        return;
+      }
+      const { username } = req.session;
+      const email = req.body.email || null;
+      await store.updateUser(username, { recoveryEmail: email });
+      const user = await store.findUserByUsername(username);
+      await recordEvent(req, auditEventTypes.RECOVERY_EMAIL_CHANGED, user, {
+        removed: !email
+      });
+      res.status(200).json(getPublicUser(user));
+    }
+  );
+
+  /**
+   * Ask for a link to recover the account, from the second step of the sign-in. The link is only
+   * sent if the account has a recovery email, but the response is the same in any case
+   *
+   * Input:
+   * req.session:
+   * {
+       username: String,
+       isPasswordCorrect: Boolean,
+       authStatus: String // NEED_SECOND_FACTOR
+   * }
+   **/
+  router.post(
+    "/account-recovery",
+    csrfCheck,
+    accountRecoveryCheck,
+    async (req, res) => {
+      const username = getSecondFactorUsername(req);
+      if (
+        !username ||
+        req.session.authStatus !== authStatuses.NEED_SECOND_FACTOR
+      ) {
+        res.status(401).json({ error: "Sign in with your password first" });
+        return;
+      }
+      const user = await store.findUserByUsername(username);
+      if (user) {
+        await accountRecovery.request(req, user);
+      }
+      res.status(200).json({
+        msg:
+          "If your account has a recovery email, a link to recover it was sent there"
+      });
+    }
+  );
+
+  /**
+   * Where the recovery of a link stands
+   *
+   * Input:
+   * req.query:
+   * {
+       username: String,
+       token: String // Both from the link
+   * }
+   *
+   * Response: see getStatus in libs/account-recovery.js
+   **/
+  router.get(
+    "/account-recovery",
+    csrfCheck,
+    accountRecoveryCheck,
+    async (req, res) => {
+      const { username, token } = req.query;
+      try {
+        res.status(200).json(await accountRecovery.getStatus(username, token));
+      } catch (e) {
+        sendAccountRecoveryError(res, e);
+      }
+    }
+  );
+
+  /**
+   * The steps taken with the link: confirm the request, complete the recovery once it's ready, or
+   * cancel it
+   *
+   * Input:
+   * req.body:
+   * {
+       username: String,
+       token: String // Both from the link
+   * }
+   **/
+  router.post(
+    "/confirm-account-recovery",
+    csrfCheck,
+    accountRecoveryCheck,
+    async (req, res) => {
+      const { username, token } = req.body;
+      try {
+        await accountRecovery.confirm(req, username, token);
+        res.status(200).json(await accountRecovery.getStatus(username, token));
+      } catch (e) {
+        sendAccountRecoveryError(res, e);
+      }
+    }
+  );
+
+  router.post(
+    "/complete-account-recovery",
+    csrfCheck,
+    accountRecoveryCheck,
+    async (req, res) => {
+      const { username, token } = req.body;
+      try {
+        await accountRecovery.complete(req, username, token);
+        res.status(200).json({
+          msg:
+            "Your account was recovered. Sign in with your password to register a new security key"
+        });
+      } catch (e) {
+        sendAccountRecoveryError(res, e);
+      }
+    }
+  );
+
+  router.post(
+    "/cancel-account-recovery",
+    csrfCheck,
+    accountRecoveryCheck,
+    async (req, res) => {
+      const { username, token } = req.body;
+      try {
+        await accountRecovery.cancelWithLink(req, username, token);
+        res.status(200).json({ msg: "Account recovery cancelled" });
+      } catch (e) {
+        sendAccountRecoveryError(res, e);
+      }
+    }
+  );
+
+  // ----------------------------------------------------------------------------
+  // Password reset
+  // ----------------------------------------------------------------------------
+
+  /**
+   * Set the password with a link issued by support, see libs/password-reset.js. Not available
+   * when passwords are checked by passwordVerifier, which ignores them
+   *
+   * Input:
+   * req.body:
+   * {
+       username: String, // From the link
+       token: String, // From the link
+       password: String
+   * }
+   *
+   * Response as JSON:
+   * {
+       msg: String
+     }
+   * or
+   * {
+       error: String,
+       code: String // One of passwordResetErrors, for an unusable link
+     }
+   **/
+  router.post(
+    "/reset-password",
+    csrfCheck,
+    check("password").isLength({ min: MIN_PASSWORD_LENGTH }),
+    async (req, res) => {
+      if (passwordVerifier) {
+        res.status(404).json({ error: "Passwords can't be reset here" });
+        return;
+      }
+      if (!validationResult(req).isEmpty()) {
+        res.status(400).json({
+          error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+        });
+        return;
+      }
+      const { username, token, password } = req.body;
+      try {
+        await passwordReset.complete(req, username, token, password);
+      } catch (e) {
+        if (!Object.values(passwordResetErrors).includes(e.code)) {
+          throw e;
+        }
+        res.status(400).json({ error: e.message, code: e.code });
+        return;
+      }
+      res.status(200).json({
+        msg:
+          "Your password is set, and you were signed out everywhere. Sign in with it"
+      });
+    }
+  );
+
+  router.use(sendError);
+
+  return router;
+}
+
+module.exports = {
+  csrfCheck,
+  authStatuses,
+  clonePolicies,
+  defaultPolicy,
+  createWebAuthnRouter
+};
@@ -0,0 +1,131 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// Challenges of WebAuthn ceremonies, kept on the server until the client answers them. Each
+// ceremony gets its own random ID, so that ceremonies of different types (or several of the same
+// type, e.g. in two tabs) don't overwrite each other's challenge.
+
+const crypto = require("crypto");
+const base64url = require("base64url");
+
+// WebAuthn ceremonies, each with its own challenges
+const ceremonyTypes = Object.freeze({
+  REGISTRATION: "registration",
+  TWO_FACTOR: "two-factor",
+  PASSWORDLESS: "passwordless",
+  REAUTHENTICATION: "reauthentication",
+  // With the credentials of the admin area, see libs/admin-router.js
+  ADMIN_REGISTRATION: "admin-registration",
+  ADMIN_AUTHENTICATION: "admin-authentication"
+});
+
+// Machine-readable reasons for refusing an answer to a challenge, sent as `code` in error responses
+const challengeErrors = Object.freeze({
+  // Never issued, already used, or pruned after it expired
+  CHALLENGE_NOT_FOUND: "challenge_not_found",
+  CHALLENGE_EXPIRED: "challenge_expired",
+  // Issued for another user
+  CHALLENGE_MISMATCH: "challenge_mismatch"
+});
+
+// Expired challenges are removed when new ones are issued, at most this often, so that challenges
+// that are never answered (e.g. passkey autofill left open) don't pile up in the store
+const PRUNE_INTERVAL = 60 * 1000;
+
+function challengeError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function getKey(type, ceremonyId) {
+  return `${type}:${ceremonyId}`;
+}
+
+/**
+ * Create a challenge store on top of a store (see libs/store)
+ *
+ * Input:
+ * {
+     store: Object,
+     ttl: Number // How long a challenge can be answered, in ms
+ * }
+ *
+ * Response:
+ * {
+     issue(type, challenge, username) => ceremonyId, // type is one of ceremonyTypes; username is
+                                                     // null when it isn't known yet
+     take(type, ceremonyId, username) => challenge,
+     prune() => count // Remove expired challenges that were never answered
+ * }
+ *
+ * take() deletes the challenge, whether it's valid or not, so that it can only be answered once.
+ * It throws an Error with one of challengeErrors as `code` if the challenge can't be used.
+ **/
+function createChallengeStore({ store, ttl }) {
+  let lastPruneDate = 0;
+  return {
+    async issue(type, challenge, username = null) {
+      if (Date.now() - lastPruneDate >= PRUNE_INTERVAL) {
+        lastPruneDate = Date.now();
+        await store.pruneChallenges(lastPruneDate);
+      }
+      const ceremonyId = base64url.encode(crypto.randomBytes(16));
+      await store.setChallenge(getKey(type, ceremonyId), {
+        type,
+        challenge,
+        username,
+        expires: Date.now() + ttl
+      });
+      return ceremonyId;
+    },
+
+    async take(type, ceremonyId, username = null) {
+      const record =
+        ceremonyId && (await store.takeChallenge(getKey(type, ceremonyId)));
+      if (!record) {
+        throw challengeError(
+          challengeErrors.CHALLENGE_NOT_FOUND,
+          "No challenge to answer, start over"
+        );
+      }
+      if (record.expires <= Date.now()) {
+        throw challengeError(
+          challengeErrors.CHALLENGE_EXPIRED,
+          "The challenge expired, start over"
+        );
+      }
+      if (record.username && record.username !== username) {
+        throw challengeError(
+          challengeErrors.CHALLENGE_MISMATCH,
+          "The challenge was issued for another user, start over"
+        );
+      }
+      return record.challenge;
+    },
+
+    prune() {
+      return store.pruneChallenges(Date.now());
+    }
+  };
+}
+
+module.exports = {
+  ceremonyTypes,
+  challengeErrors,
+  createChallengeStore
+};
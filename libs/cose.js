@@ -0,0 +1,72 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// COSE keys, the format WebAuthn public keys come in, see
+// https://www.rfc-editor.org/rfc/rfc9052#section-7
+
+const base64url = require("base64url");
+const cbor = require("cbor");
+
+// Label of the algorithm in a COSE key
+const ALG_LABEL = 3;
+
+// Names of the algorithms WebAuthn authenticators use, by COSE identifier, see
+// https://www.iana.org/assignments/cose/cose.xhtml#algorithms
+const algorithmNames = Object.freeze({
+  [-7]: "ES256",
+  [-8]: "EdDSA",
+  [-35]: "ES384",
+  [-36]: "ES512",
+  [-37]: "PS256",
+  [-38]: "PS384",
+  [-39]: "PS512",
+  [-257]: "RS256",
+  [-258]: "RS384",
+  [-259]: "RS512",
+  [-65535]: "RS1"
+});
+
+/**
+ * Get the signature algorithm of a public key
+ *
+ * Input: the base64url-encoded COSE key, as stored with the credential
+ *
+ * Response: the algorithm's name, e.g. 'ES256', or its COSE identifier if it has no known name,
+ * or undefined if the key can't be read
+ **/
+function getPublicKeyAlgorithm(publicKey) {
+  try {
+    const coseKey = cbor.decodeFirstSync(base64url.toBuffer(publicKey));
+    const alg = coseKey.get(ALG_LABEL);
+    return algorithmNames[alg] || String(alg);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+// COSE identifier of an algorithm, e.g. 'ES256' => -7, or undefined if the name isn't known
+function getAlgorithmId(name) {
+  const id = Object.keys(algorithmNames).find(
+    key => algorithmNames[key] === name
+  );
+  return id === undefined ? undefined : Number(id);
+}
+
+module.exports = {
+  getPublicKeyAlgorithm,
+  getAlgorithmId
+};
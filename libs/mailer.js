@@ -0,0 +1,73 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// Outgoing email. Anything with a send(message) method returning a promise can be used as a
+// mailer, e.g. to hand messages to an SMTP server or an email API; the transports here are meant
+// for development and tests.
+
+const fs = require("fs");
+
+const mailTransports = Object.freeze({
+  // Prints messages on the console
+  CONSOLE: "console",
+  // Appends messages to a file as JSON Lines, e.g. for tests to read the links they contain
+  FILE: "file"
+});
+
+/**
+ * Create a mailer with one of the built-in transports
+ *
+ * Input:
+ * {
+     transport: String, // One of mailTransports
+     from: String, // Sender address
+     filePath: String // Required by the file transport
+ * }
+ *
+ * Response:
+ * {
+     // Send a plain text message. Resolves once the transport took it
+     send: async ({ to: String, subject: String, text: String }) => undefined
+ * }
+ **/
+function createMailer({ transport, from, filePath }) {
+  if (!Object.values(mailTransports).includes(transport)) {
+    throw new Error(
+      `Unknown mail transport "${transport}", expected one of ${Object.values(
+        mailTransports
+      ).join(", ")}`
+    );
+  }
+  if (transport === mailTransports.FILE && !filePath) {
+    throw new Error("The file mail transport needs a file path");
+  }
+  return {
+    async send({ to, subject, text }) {
+      const message = { date: Date.now(), from, to, subject, text };
+      if (transport === mailTransports.FILE) {
+        await fs.promises.appendFile(filePath, `${JSON.stringify(message)}\n`);
+        return;
+      }
+      console.log(`Mail from ${from} to ${to}: ${subject}\n\n${text}\n`);
+    }
+  };
+}
+
+module.exports = {
+  mailTransports,
+  createMailer
+};
@@ -0,0 +1,296 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// Offline support for the FIDO Metadata Service (MDS3), see
+// https://fidoalliance.org/specs/mds/fido-metadata-service-v3.0-ps-20210518.html
+// The blob is downloaded out of band (e.g. from https://mds3.fidoalliance.org/) and stored locally,
+// together with the root certificate it's signed with.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const base64url = require("base64url");
+const cbor = require("cbor");
+
+// Statuses that make an authenticator untrustworthy
+const COMPROMISED_STATUSES = Object.freeze([
+  "REVOKED",
+  "USER_VERIFICATION_BYPASS",
+  "ATTESTATION_KEY_COMPROMISE",
+  "USER_KEY_REMOTE_COMPROMISE",
+  "USER_KEY_PHYSICAL_COMPROMISE"
+]);
+
+// FIDO certification levels, from lowest to highest
+const CERTIFICATION_LEVELS = Object.freeze([
+  "L1",
+  "L1plus",
+  "L2",
+  "L2plus",
+  "L3",
+  "L3plus"
+]);
+
+// Flag in the authenticator data meaning that attested credential data (incl. the AAGUID) follows
+const ATTESTED_CREDENTIAL_DATA_FLAG = 0x40;
+
+const ZERO_AAGUID = "00000000-0000-0000-0000-000000000000";
+
+// Metadata BLOB payload entries, by AAGUID
+let entriesByAaguid = new Map();
+
+// ----------------------------------------------------------------------------
+// Utils
+// ----------------------------------------------------------------------------
+
+function toCertificate(derOrPem) {
+  return new crypto.X509Certificate(derOrPem);
+}
+
+function isCertificateCurrentlyValid(cert) {
+  const now = Date.now();
+  return (
+    new Date(cert.validFrom).getTime() <= now &&
+    now <= new Date(cert.validTo).getTime()
+  );
+}
+
+/**
+ * Check that certs (leaf first) form a valid chain up to one of the trusted roots
+ *
+ * Revocation isn't checked: this works offline, so there are no CRLs to fetch
+ **/
+function isChainTrusted(certs, trustedRoots) {
+  if (!certs.length || !trustedRoots.length) {
+    return false;
+  }
+  if (!certs.every(isCertificateCurrentlyValid)) {
+    return false;
+  }
+  for (let i = 0; i < certs.length - 1; i++) {
+    if (
+      !certs[i].checkIssued(certs[i + 1]) ||
+      !certs[i].verify(certs[i + 1].publicKey)
+    ) {
+      return false;
+    }
+  }
+  const last = certs[certs.length - 1];
+  return trustedRoots.some(
+    root =>
+      isCertificateCurrentlyValid(root) &&
+      (last.fingerprint256 === root.fingerprint256 ||
+        (last.checkIssued(root) && last.verify(root.publicKey)))
+  );
+}
+
+function verifyJwtSignature(alg, signedData, signature, publicKey) {
+  switch (alg) {
+    case "RS256":
+      return crypto.verify("sha256", signedData, publicKey, signature);
+    case "ES256":
+      return crypto.verify(
+        "sha256",
+        signedData,
+        { key: publicKey, dsaEncoding: "ieee-p1363" },
+        signature
+      );
+    default:
+      throw new Error(`Unsupported metadata BLOB signature algorithm "${alg}"`);
+  }
+}
+
+function formatAaguid(buffer) {
+  const hex = buffer.toString("hex");
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20)
+  ].join("-");
+}
+
+// The latest status report comes last, as per the MDS3 spec
+function getLatestStatus(entry) {
+  const { statusReports = [] } = entry;
+  return statusReports.length
+    ? statusReports[statusReports.length - 1].status
+    : undefined;
+}
+
+// E.g. 'FIDO_CERTIFIED_L2' => 'L2'; plain 'FIDO_CERTIFIED' is the legacy name for level 1
+function toCertificationLevel(status) {
+  if (status === "FIDO_CERTIFIED") {
+    return "L1";
+  }
+  const level = status.replace(/^FIDO_CERTIFIED_/, "");
+  return CERTIFICATION_LEVELS.includes(level) ? level : undefined;
+}
+
+// ----------------------------------------------------------------------------
+// Metadata BLOB
+// ----------------------------------------------------------------------------
+
+/**
+ * Load a locally stored metadata BLOB (a JWT) and keep its entries in memory
+ *
+ * Throws if the BLOB's certificate chain doesn't lead to the given root certificate or if its
+ * signature is invalid, so that a tampered BLOB is never used
+ *
+ * Input:
+ * {
+     blobPath: String, // Path to the BLOB as downloaded from the MDS
+     rootCertPath: String // Path to the MDS root certificate, PEM or DER
+ * }
+ *
+ * Response: the number of loaded entries
+ **/
+function loadMetadataBlob({ blobPath, rootCertPath }) {
+  const jwt = fs.readFileSync(blobPath, "utf8").trim();
+  const rootCert = toCertificate(fs.readFileSync(rootCertPath));
+  const [encodedHeader, encodedPayload, encodedSignature] = jwt.split(".");
+  if (!encodedHeader || !encodedPayload || !encodedSignature) {
+    throw new Error("Metadata BLOB is not a JWT");
+  }
+  const header = JSON.parse(base64url.decode(encodedHeader));
+  const certs = (header.x5c || []).map(cert =>
+    toCertificate(Buffer.from(cert, "base64"))
+  );
+  if (!isChainTrusted(certs, [rootCert])) {
+    throw new Error(
+      "Metadata BLOB certificate chain doesn't lead to the configured root certificate"
+    );
+  }
+  const isSignatureValid = verifyJwtSignature(
+    header.alg,
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    base64url.toBuffer(encodedSignature),
+    certs[0].publicKey
+  );
+  if (!isSignatureValid) {
+    throw new Error("Metadata BLOB signature is invalid");
+  }
+  const payload = JSON.parse(base64url.decode(encodedPayload));
+  // Only FIDO2 authenticators have an AAGUID; U2F ones are identified by their attestation key
+  entriesByAaguid = new Map(
+    (payload.entries || [])
+      .filter(entry => entry.aaguid)
+      .map(entry => [entry.aaguid.toLowerCase(), entry])
+  );
+  const nextUpdate = payload.nextUpdate && new Date(payload.nextUpdate);
+  if (nextUpdate && nextUpdate.getTime() < Date.now()) {
+    console.warn(
+      `Metadata BLOB #${payload.no} was due for an update on ${payload.nextUpdate}, download a newer one`
+    );
+  }
+  return entriesByAaguid.size;
+}
+
+function getMetadataEntry(aaguid) {
+  return aaguid ? entriesByAaguid.get(aaguid.toLowerCase()) : undefined;
+}
+
+function getAuthenticatorIcon(aaguid) {
+  const entry = getMetadataEntry(aaguid);
+  return entry && entry.metadataStatement
+    ? entry.metadataStatement.icon
+    : undefined;
+}
+
+/**
+ * Get the most recent FIDO certification level of an authenticator model
+ *
+ * Response: one of CERTIFICATION_LEVELS, or undefined if the model isn't known or certified
+ **/
+function getCertificationLevel(aaguid) {
+  const entry = getMetadataEntry(aaguid);
+  const levels = ((entry && entry.statusReports) || [])
+    .map(report => toCertificationLevel(report.status))
+    .filter(Boolean);
+  return levels[levels.length - 1];
+}
+
+// ----------------------------------------------------------------------------
+// Attestation
+// ----------------------------------------------------------------------------
+
+/**
+ * Identify the authenticator that created a credential and check its attestation against the
+ * metadata. Call this after the attestation statement itself has been verified by
+ * fido2.verifyAttestationResponse().
+ *
+ * Throws if the authenticator is listed with a compromised status or if its attestation
+ * certificate doesn't chain up to the roots listed in its metadata statement
+ *
+ * Input: the base64url-encoded attestationObject sent by the client
+ *
+ * Response:
+ * {
+     aaguid: String, // Undefined for U2F authenticators and anonymized attestations
+     fmt: String, // Attestation format, e.g. 'packed'
+     authenticatorName: String, // E.g. 'YubiKey 5 NFC', undefined if not in the metadata
+     attestationVerified: Boolean // True if the attestation chains up to the metadata's roots
+ * }
+ **/
+function identifyAuthenticator(attestationObject) {
+  const { fmt, attStmt, authData } = cbor.decodeFirstSync(
+    base64url.toBuffer(attestationObject)
+  );
+  const hasAaguid = authData[32] & ATTESTED_CREDENTIAL_DATA_FLAG;
+  const aaguid = hasAaguid ? formatAaguid(authData.slice(37, 53)) : undefined;
+  const result = {
+    aaguid: aaguid === ZERO_AAGUID ? undefined : aaguid,
+    fmt,
+    authenticatorName: undefined,
+    attestationVerified: false
+  };
+  const entry = getMetadataEntry(result.aaguid);
+  if (!entry) {
+    return result;
+  }
+  const status = getLatestStatus(entry);
+  if (COMPROMISED_STATUSES.includes(status)) {
+    throw new Error(
+      `Authenticator ${result.aaguid} can't be trusted (status: ${status})`
+    );
+  }
+  const { metadataStatement = {} } = entry;
+  result.authenticatorName = metadataStatement.description;
+  // Self and "none" attestations have no certificate, the AAGUID is then only a claim
+  const x5c = (attStmt && attStmt.x5c) || [];
+  if (x5c.length) {
+    const roots = (metadataStatement.attestationRootCertificates || []).map(
+      cert => toCertificate(Buffer.from(cert, "base64"))
+    );
+    if (!isChainTrusted(x5c.map(toCertificate), roots)) {
+      throw new Error(
+        `Attestation of authenticator ${result.aaguid} doesn't match its metadata`
+      );
+    }
+    result.attestationVerified = true;
+  }
+  return result;
+}
+
+module.exports = {
+  CERTIFICATION_LEVELS,
+  loadMetadataBlob,
+  getMetadataEntry,
+  getAuthenticatorIcon,
+  getCertificationLevel,
+  identifyAuthenticator
+};
@@ -0,0 +1,258 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// Security notifications, so that users notice changes to their account that they didn't make,
+// e.g. a security key they didn't add. notify() returns right away: notifications are delivered in
+// the background, and failing to deliver one is only logged.
+
+const fs = require("fs");
+
+// What users are notified of
+const notificationTypes = Object.freeze({
+  // A security key or an authenticator app was added
+  CREDENTIAL_ADDED: "credential_added",
+  CREDENTIAL_REMOVED: "credential_removed",
+  TWO_FACTOR_DISABLED: "two_factor_disabled",
+  // Signed in from a browser the account was never signed in from
+  NEW_DEVICE_SIGN_IN: "new_device_sign_in",
+  // Failed second factors in a row, i.e. someone who knows the password is trying
+  SECOND_FACTOR_FAILURES: "second_factor_failures"
+});
+
+// Where notifications go
+const notificationTransports = Object.freeze({
+  // To the user's recovery email, through a mailer (see libs/mailer.js). Users without one aren't
+  // notified
+  EMAIL: "email",
+  // POSTed as JSON to a URL, e.g. for the app to reach users its own way
+  WEBHOOK: "webhook",
+  // Appended to a file as JSON Lines
+  FILE: "file",
+  // Printed on the console
+  CONSOLE: "console"
+});
+
+// How long a webhook has to respond
+const WEBHOOK_TIMEOUT = 10 * 1000;
+
+// Subject and text of each notification type. {{name}} is replaced with the notification's field
+// of that name: username, date, ip, userAgent, accountUrl, credentialName and failures
+const defaultNotificationTemplates = Object.freeze({
+  [notificationTypes.CREDENTIAL_ADDED]: Object.freeze({
+    subject: "A second factor was added to your account",
+    text: `Hello {{username}},
+
+{{credentialName}} was added to your account on {{date}}, from {{ip}} ({{userAgent}}).
+
+If it wasn't you, remove it on your account page, {{accountUrl}}, and contact support: whoever added it knows your password and had a second factor.`
+  }),
+  [notificationTypes.CREDENTIAL_REMOVED]: Object.freeze({
+    subject: "A second factor was removed from your account",
+    text: `Hello {{username}},
+
+{{credentialName}} was removed from your account on {{date}}, from {{ip}} ({{userAgent}}).
+
+If it wasn't you, contact support: whoever did knows your password and had a second factor.`
+  }),
+  [notificationTypes.TWO_FACTOR_DISABLED]: Object.freeze({
+    subject: "Two-factor authentication was disabled",
+    text: `Hello {{username}},
+
+Two-factor authentication was disabled on your account on {{date}}, from {{ip}} ({{userAgent}}). Your password is now enough to sign in.
+
+If it wasn't you, contact support: whoever did knows your password and had a second factor.`
+  }),
+  [notificationTypes.NEW_DEVICE_SIGN_IN]: Object.freeze({
+    subject: "New sign-in to your account",
+    text: `Hello {{username}},
+
+Someone signed in to your account from a new device on {{date}}, from {{ip}} ({{userAgent}}).
+
+If it wasn't you, sign out of that session on your account page, {{accountUrl}}, and contact support.`
+  }),
+  [notificationTypes.SECOND_FACTOR_FAILURES]: Object.freeze({
+    subject: "Failed attempts to sign in to your account",
+    text: `Hello {{username}},
+
+The second factor was refused {{failures}} times in a row when signing in to your account, most recently on {{date}}, from {{ip}} ({{userAgent}}).
+
+If it wasn't you, whoever tried knows your password: contact support.`
+  })
+});
+
+// ----------------------------------------------------------------------------
+// Utils
+// ----------------------------------------------------------------------------
+
+function formatDate(date) {
+  return new Date(date).toUTCString();
+}
+
+// Unknown fields are replaced with nothing
+function render(template, values) {
+  return template.replace(/{{\s*(\w+)\s*}}/g, (match, name) =>
+    values[name] === undefined || values[name] === null
+      ? ""
+      : String(values[name])
+  );
+}
+
+// The default templates, with the given subjects and texts instead. Throws for unknown types
+function getTemplates(templates) {
+  const result = {};
+  for (const type of Object.keys(templates)) {
+    if (!Object.values(notificationTypes).includes(type)) {
+      throw new Error(
+        `Unknown notification type "${type}" in the templates, expected one of ${Object.values(
+          notificationTypes
+        ).join(", ")}`
+      );
+    }
+  }
+  for (const type of Object.values(notificationTypes)) {
+    result[type] = {
+      ...defaultNotificationTemplates[type],
+      ...templates[type]
+    };
+  }
+  return result;
+}
+
+// ----------------------------------------------------------------------------
+// Notifier
+// ----------------------------------------------------------------------------
+
+/**
+ * Create a notifier with one of the built-in transports
+ *
+ * Input:
+ * {
+     transport: String, // One of notificationTransports
+     mailer: Object, // Required by the email transport, see createMailer in libs/mailer.js
+     webhookUrl: String, // Required by the webhook transport
+     filePath: String, // Required by the file transport
+     accountUrl: String, // The account page, for {{accountUrl}} in templates
+     templates: Object // Optional, by notification type: { subject: String, text: String }
+ * }
+ *
+ * Throws if the transport can't be used, or if the templates aren't valid
+ **/
+function createNotifier({
+  transport,
+  mailer,
+  webhookUrl,
+  filePath,
+  accountUrl = "",
+  templates = {}
+}) {
+  if (!Object.values(notificationTransports).includes(transport)) {
+    throw new Error(
+      `Unknown notification transport "${transport}", expected one of ${Object.values(
+        notificationTransports
+      ).join(", ")}`
+    );
+  }
+  if (transport === notificationTransports.EMAIL && !mailer) {
+    throw new Error("The email notification transport needs a mailer");
+  }
+  if (transport === notificationTransports.WEBHOOK && !webhookUrl) {
+    throw new Error("The webhook notification transport needs a URL");
+  }
+  if (transport === notificationTransports.FILE && !filePath) {
+    throw new Error("The file notification transport needs a file path");
+  }
+  const fullTemplates = getTemplates(templates);
+
+  async function deliver(user, notification) {
+    switch (transport) {
+      case notificationTransports.EMAIL:
+        if (user.recoveryEmail) {
+          const { subject, text } = notification;
+          await mailer.send({ to: user.recoveryEmail, subject, text });
+        }
+        return;
+      case notificationTransports.WEBHOOK: {
+        const response = await fetch(webhookUrl, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(notification),
+          signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+        });
+        if (!response.ok) {
+          throw new Error(`The webhook responded with ${response.status}`);
+        }
+        return;
+      }
+      case notificationTransports.FILE:
+        await fs.promises.appendFile(
+          filePath,
+          `${JSON.stringify(notification)}\n`
+        );
+        return;
+      default:
+        console.log(
+          `Notification to ${notification.username}: ${notification.subject}\n\n${notification.text}\n`
+        );
+    }
+  }
+
+  return {
+    /**
+     * Notify a user, in the background
+     *
+     * Input:
+     * req: the request that caused the notification, for its IP address and User-Agent
+     * type: one of notificationTypes
+     * user: the user to notify
+     * fields: for the templates, e.g. { credentialName: String } or { failures: Number }
+     **/
+    notify(req, type, user, fields = {}) {
+      const date = Date.now();
+      const values = {
+        username: user.username,
+        date: formatDate(date),
+        ip: req ? req.ip : "",
+        userAgent: req ? req.get("User-Agent") || "" : "",
+        accountUrl,
+        ...fields
+      };
+      const notification = {
+        type,
+        date,
+        userId: user.id,
+        username: user.username,
+        subject: render(fullTemplates[type].subject, values),
+        text: render(fullTemplates[type].text, values),
+        fields: values
+      };
+      setImmediate(() => {
+        deliver(user, notification).catch(e =>
+          console.error(
+            `Sending the ${type} notification to ${user.username} failed: ${e.message}`
+          )
+        );
+      });
+    }
+  };
+}
+
+module.exports = {
+  notificationTypes,
+  notificationTransports,
+  defaultNotificationTemplates,
+  createNotifier
+};
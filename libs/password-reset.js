@@ -0,0 +1,125 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// One-time links that set the password of an account. Accounts created before passwords were
+// checked have none, and can't sign in with a password until they set one this way: support checks
+// who the user is, then issues a link with `reset-password` in bin/admin.js. Setting the password
+// signs the account out everywhere; the second factor is still required to sign in.
+
+const crypto = require("crypto");
+const base64url = require("base64url");
+const { auditEventTypes } = require("./audit");
+const { hashToken, isTokenCorrect } = require("./account-recovery");
+const { hashPassword } = require("./password");
+
+// Machine-readable reasons for refusing a reset, as `code` of the thrown errors
+const passwordResetErrors = Object.freeze({
+  // Unknown, used or expired link
+  INVALID_LINK: "invalid_password_reset_link"
+});
+
+// How long the link can be used, long enough for support to hand it over
+const LINK_TTL = 24 * 60 * 60 * 1000;
+
+const TOKEN_BYTES = 32;
+
+function passwordResetError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Create the password reset workflow. Resets are kept with the user, as `passwordReset`
+ *
+ * Input:
+ * {
+     store: Object, // See libs/store
+     auditLog: Object // See createAuditLog in libs/audit.js
+ * }
+ *
+ * Resets that can't be done throw an Error with one of passwordResetErrors as `code`
+ **/
+function createPasswordReset({ store, auditLog }) {
+  // actor is set when support does it, see createAdmin in libs/admin.js
+  function record(req, type, user, fields = {}, actor) {
+    return auditLog.record(actor ? actor.req || null : req, type, {
+      userId: user.id,
+      username: user.username,
+      ...(actor && { admin: actor.admin }),
+      ...(actor && actor.reason && { reason: actor.reason }),
+      ...fields
+    });
+  }
+
+  return {
+    /**
+     * Issue a link for the user, replacing any previous one. actor: see createAdmin in
+     * libs/admin.js
+     *
+     * Response: { token: String, expirationDate: Number }
+     **/
+    async issue(user, actor) {
+      const token = base64url.encode(crypto.randomBytes(TOKEN_BYTES));
+      const expirationDate = Date.now() + LINK_TTL;
+      await store.updateUser(user.username, {
+        passwordReset: { tokenHash: hashToken(token), expirationDate }
+      });
+      await record(
+        null,
+        auditEventTypes.PASSWORD_RESET_ISSUED,
+        user,
+        { expirationDate },
+        actor
+      );
+      return { token, expirationDate };
+    },
+
+    // Set the password with the link, which can't be used again
+    async complete(req, username, token, password) {
+      const user = await store.findUserByUsername(String(username || ""));
+      const reset = user && user.passwordReset;
+      if (
+        !reset ||
+        reset.expirationDate <= Date.now() ||
+        !isTokenCorrect(reset, token)
+      ) {
+        throw passwordResetError(
+          passwordResetErrors.INVALID_LINK,
+          "This link is invalid or has expired, ask support for a new one"
+        );
+      }
+      await store.updateUser(user.username, {
+        password: await hashPassword(password),
+        passwordReset: null
+      });
+      const sessions = await store.findSessions({ username: user.username });
+      for (const { sid } of sessions) {
+        await store.deleteSession(sid);
+      }
+      await record(req, auditEventTypes.PASSWORD_RESET, user, {
+        hadPassword: Boolean(user.password),
+        sessionsRevoked: sessions.length
+      });
+    }
+  };
+}
+
+module.exports = {
+  passwordResetErrors,
+  createPasswordReset
+};
@@ -0,0 +1,137 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+const crypto = require("crypto");
+const util = require("util");
+
+const scrypt = util.promisify(crypto.scrypt);
+
+// ----------------------------------------------------------------------------
+// Configuration
+// ----------------------------------------------------------------------------
+
+// scrypt cost parameters used for new hashes. Changing any of them causes stored hashes to be
+// upgraded transparently the next time their owner signs in (see needsRehash)
+const scryptParams = Object.freeze({
+  N: 2 ** 15,
+  r: 8,
+  p: 1,
+  keyLength: 64,
+  saltLength: 16
+});
+
+const ALGORITHM = "scrypt";
+
+// ----------------------------------------------------------------------------
+// Utils
+// ----------------------------------------------------------------------------
+
+function getMaxMem({ N, r }) {
+  // scrypt needs roughly 128 * N * r bytes; leave headroom above Node's 32 MiB default
+  return 256 * N * r;
+}
+
+async function deriveKey(password, salt, params) {
+  const { N, r, p, keyLength } = params;
+  return scrypt(password, salt, keyLength, {
+    N,
+    r,
+    p,
+    maxmem: getMaxMem(params)
+  });
+}
+
+// A record with the current parameters and a random salt, used to spend the same amount of time on
+// unknown usernames as on known ones
+let dummyRecordPromise;
+function getDummyRecord() {
+  if (!dummyRecordPromise) {
+    dummyRecordPromise = hashPassword(crypto.randomBytes(16).toString("hex"));
+  }
+  return dummyRecordPromise;
+}
+
+// ----------------------------------------------------------------------------
+// Hashing and verification
+// ----------------------------------------------------------------------------
+
+/**
+ * Hash a password with a fresh random salt
+ *
+ * Response:
+ * {
+     algorithm: String, // Always 'scrypt'
+     salt: String, // base64
+     hash: String, // base64
+     N: Number,
+     r: Number,
+     p: Number,
+     keyLength: Number
+ * }
+ **/
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(scryptParams.saltLength);
+  const hash = await deriveKey(password, salt, scryptParams);
+  return {
+    algorithm: ALGORITHM,
+    salt: salt.toString("base64"),
+    hash: hash.toString("base64"),
+    N: scryptParams.N,
+    r: scryptParams.r,
+    p: scryptParams.p,
+    keyLength: scryptParams.keyLength
+  };
+}
+
+/**
+ * Check a password against a record created by hashPassword(), in constant time
+ *
+ * When no record is given (e.g. the user doesn't exist), a dummy hash is computed anyway so that
+ * the response time doesn't reveal whether the username is known. The result is then always false.
+ **/
+async function verifyPassword(password, record) {
+  const knownRecord = record && record.algorithm === ALGORITHM;
+  const recordToCheck = knownRecord ? record : await getDummyRecord();
+  const expected = Buffer.from(recordToCheck.hash, "base64");
+  const actual = await deriveKey(
+    password,
+    Buffer.from(recordToCheck.salt, "base64"),
+    recordToCheck
+  );
+  const matches =
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual);
+  return knownRecord && matches;
+}
+
+// True if the record was created with other parameters than the current ones
+function needsRehash(record) {
+  return (
+    record.algorithm !== ALGORITHM ||
+    record.N !== scryptParams.N ||
+    record.r !== scryptParams.r ||
+    record.p !== scryptParams.p ||
+    record.keyLength !== scryptParams.keyLength ||
+    Buffer.from(record.salt, "base64").length !== scryptParams.saltLength
+  );
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  needsRehash
+};
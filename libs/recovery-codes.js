@@ -0,0 +1,72 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+const crypto = require("crypto");
+
+const RECOVERY_CODES_COUNT = 10;
+// 8 random bytes per code: 64 bits of entropy are out of reach of brute force, even offline, so a
+// fast hash is enough (unlike passwords, which are chosen by users)
+const RECOVERY_CODE_BYTES = 8;
+
+// Case, spaces and dashes don't matter when the user types a code
+function normalizeRecoveryCode(code) {
+  return String(code)
+    .replace(/[\s-]/g, "")
+    .toLowerCase();
+}
+
+function hashRecoveryCode(code) {
+  return crypto
+    .createHash("sha256")
+    .update(normalizeRecoveryCode(code))
+    .digest("base64");
+}
+
+/**
+ * Generate a new batch of one-time recovery codes
+ *
+ * Response:
+ * {
+     codes: String[], // To be shown to the user once, e.g. '4f1a-9c2e-07bd-53aa'
+     hashes: String[] // To be stored instead of the codes
+ * }
+ **/
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODES_COUNT; i++) {
+    const hex = crypto.randomBytes(RECOVERY_CODE_BYTES).toString("hex");
+    codes.push(hex.match(/.{4}/g).join("-"));
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// Index of the hash matching the code, or -1. All hashes are compared, in constant time
+function findRecoveryCode(hashes, code) {
+  const actual = Buffer.from(hashRecoveryCode(code), "base64");
+  let foundIndex = -1;
+  hashes.forEach((hash, index) => {
+    if (crypto.timingSafeEqual(Buffer.from(hash, "base64"), actual)) {
+      foundIndex = index;
+    }
+  });
+  return foundIndex;
+}
+
+module.exports = {
+  generateRecoveryCodes,
+  findRecoveryCode
+};
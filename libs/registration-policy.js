@@ -0,0 +1,114 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+const { CERTIFICATION_LEVELS, getCertificationLevel } = require("./metadata");
+
+// Machine-readable reasons for refusing an authenticator, sent as `code` in error responses
+const policyViolations = Object.freeze({
+  AUTHENTICATOR_BLOCKED: "authenticator_blocked",
+  AUTHENTICATOR_NOT_ALLOWED: "authenticator_not_allowed",
+  ATTESTATION_NOT_VERIFIED: "attestation_not_verified",
+  CERTIFICATION_LEVEL_TOO_LOW: "certification_level_too_low",
+  USER_VERIFICATION_REQUIRED: "user_verification_required"
+});
+
+/**
+ * Check a newly created credential against the registration policy
+ *
+ * AAGUIDs can be blocked on a mere claim, but allowing them or relying on their certification
+ * level requires an attestation that was verified against the metadata, since anyone can claim
+ * any AAGUID
+ *
+ * Input:
+ * policy:
+ * {
+     allowedAaguids: String[], // Empty means any authenticator that isn't blocked
+     blockedAaguids: String[],
+     minCertificationLevel: String, // One of CERTIFICATION_LEVELS, or empty for no minimum
+     requireUserVerification: Boolean
+ * }
+ * authenticator:
+ * {
+     aaguid: String,
+     attestationVerified: Boolean,
+     userVerified: Boolean
+ * }
+ *
+ * Response: null if the credential complies, otherwise
+ * {
+     code: String, // One of policyViolations
+     error: String
+ * }
+ **/
+function checkRegistrationPolicy(policy, authenticator) {
+  const {
+    allowedAaguids = [],
+    blockedAaguids = [],
+    minCertificationLevel,
+    requireUserVerification
+  } = policy;
+  const { aaguid, attestationVerified, userVerified } = authenticator;
+  const normalizedAaguid = (aaguid || "").toLowerCase();
+
+  if (normalizedAaguid && blockedAaguids.includes(normalizedAaguid)) {
+    return {
+      code: policyViolations.AUTHENTICATOR_BLOCKED,
+      error: "This authenticator model is blocked by the security policy"
+    };
+  }
+  if (requireUserVerification && !userVerified) {
+    return {
+      code: policyViolations.USER_VERIFICATION_REQUIRED,
+      error:
+        "The security policy requires an authenticator that verifies the user (PIN or biometrics)"
+    };
+  }
+  if (
+    (allowedAaguids.length || minCertificationLevel) &&
+    !attestationVerified
+  ) {
+    return {
+      code: policyViolations.ATTESTATION_NOT_VERIFIED,
+      error:
+        "The security policy requires an authenticator whose model can be verified"
+    };
+  }
+  if (allowedAaguids.length && !allowedAaguids.includes(normalizedAaguid)) {
+    return {
+      code: policyViolations.AUTHENTICATOR_NOT_ALLOWED,
+      error: "This authenticator model isn't allowed by the security policy"
+    };
+  }
+  if (minCertificationLevel) {
+    const level = getCertificationLevel(normalizedAaguid);
+    if (
+      CERTIFICATION_LEVELS.indexOf(level) <
+      CERTIFICATION_LEVELS.indexOf(minCertificationLevel)
+    ) {
+      return {
+        code: policyViolations.CERTIFICATION_LEVEL_TOO_LOW,
+        error: `The security policy requires an authenticator certified at FIDO level ${minCertificationLevel} or higher`
+      };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  policyViolations,
+  checkRegistrationPolicy
+};
@@ -0,0 +1,90 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// Express routers for the JSON APIs, see libs/auth.js and libs/admin-router.js
+
+const express = require("express");
+
+// The methods whose handlers are wrapped by forwardErrors
+const routerMethods = ["use", "get", "post", "put", "delete"];
+
+// Express 4 doesn't catch the errors of async handlers: the request would hang, and the
+// unhandled rejection end the process. They're handed to next() instead, as thrown errors are.
+// Error-handling middleware, which takes 4 arguments, is left alone
+function forwardErrors(handler) {
+  if (typeof handler !== "function" || handler.length === 4) {
+    return handler;
+  }
+  return (req, res, next) => {
+    const result = handler(req, res, next);
+    if (result && typeof result.catch === "function") {
+      result.catch(next);
+    }
+  };
+}
+
+/**
+ * Create a router that parses JSON bodies and passes the errors of its async handlers and
+ * middleware on (see forwardErrors). Add sendError once all routes are
+ *
+ * Response: the router
+ **/
+function createRouter() {
+  const router = express.Router();
+  for (const method of routerMethods) {
+    const addHandlers = router[method].bind(router);
+    router[method] = (...args) =>
+      addHandlers(
+        ...args.map(arg =>
+          Array.isArray(arg) ? arg.map(forwardErrors) : forwardErrors(arg)
+        )
+      );
+  }
+  router.use(express.json());
+  return router;
+}
+
+/**
+ * Error-handling middleware, last in the router: answers as the routes do. Only errors meant for
+ * the client, e.g. a malformed JSON body, tell what went wrong
+ *
+ * Response, with the error's status or 500:
+ * {
+     error: String
+ * }
+ **/
+function sendError(err, req, res, next) {
+  if (res.headersSent) {
+    next(err);
+    return;
+  }
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) {
+    console.error(err);
+  }
+  res.status(status).json({
+    error:
+      status < 500 && err.expose
+        ? err.message
+        : "Something went wrong, please try again"
+  });
+}
+
+module.exports = {
+  createRouter,
+  sendError
+};
@@ -0,0 +1,293 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// Relying party configuration: who the server is to WebAuthn, and which web pages and apps may
+// use its credentials. It's read from a JSON file at startup and validated, so that a mistake
+// stops the server instead of making every ceremony fail.
+
+const fs = require("fs");
+const base64url = require("base64url");
+const { getAlgorithmId } = require("./cose");
+
+// Signature algorithms that can be offered: those @simplewebauthn/server can verify assertions of.
+// Version 0.10 only reads EC2 and RSA keys, and checks signatures with SHA-256, so credentials
+// with other algorithms could be registered but never used to sign in
+const SUPPORTED_ALGORITHMS = Object.freeze(["ES256", "RS256"]);
+
+const defaults = Object.freeze({
+  android: [],
+  ios: { appIds: [] },
+  timeouts: { ceremonySeconds: 120, challengeSeconds: 150 },
+  algorithms: ["ES256", "RS256"]
+});
+
+// ----------------------------------------------------------------------------
+// Utils
+// ----------------------------------------------------------------------------
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/;
+// SHA-256 fingerprint of an APK signing certificate, as printed by keytool
+const FINGERPRINT_PATTERN = /^([0-9A-F]{2}:){31}[0-9A-F]{2}$/i;
+// Team ID, then bundle ID, e.g. 'ABCDE12345.com.example.app'
+const IOS_APP_ID_PATTERN = /^[A-Z0-9]{10}\.[A-Za-z0-9.-]+$/;
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+function isPositiveNumber(value) {
+  return typeof value === "number" && value > 0;
+}
+
+// Problems with a web origin, given the RP ID it must belong to, see
+// https://www.w3.org/TR/webauthn-2/#rp-id
+function getOriginProblem(origin, rpId) {
+  let url;
+  try {
+    url = new URL(origin);
+  } catch (e) {
+    return `"${origin}" isn't a URL`;
+  }
+  if (url.origin !== origin) {
+    return `"${origin}" should be written "${url.origin}", without path or trailing slash`;
+  }
+  if (url.protocol !== "https:" && url.hostname !== "localhost") {
+    return `"${origin}" must use https, only localhost can use http`;
+  }
+  if (url.hostname !== rpId && !url.hostname.endsWith(`.${rpId}`)) {
+    return `"${origin}" isn't on the RP ID "${rpId}" or one of its subdomains`;
+  }
+  return null;
+}
+
+// The origin Android apps report, see
+// https://developer.android.com/training/sign-in/passkeys#verify-origin
+function getAndroidOrigin(fingerprint) {
+  const hash = Buffer.from(fingerprint.replace(/:/g, ""), "hex");
+  return `android:apk-key-hash:${base64url.encode(hash)}`;
+}
+
+// Every problem with the configuration, so that they can all be fixed at once
+function validateRpConfig(config) {
+  const problems = [];
+  const { rpId, rpName, origins, android, ios, timeouts, algorithms } = config;
+  if (!isNonEmptyString(rpId) || !DOMAIN_PATTERN.test(rpId)) {
+    problems.push(
+      "rpId must be a lowercase domain name, without scheme or port, e.g. 'example.com'"
+    );
+  }
+  if (!isNonEmptyString(rpName)) {
+    problems.push("rpName must be a non-empty string");
+  }
+  if (!Array.isArray(origins) || !origins.length) {
+    problems.push("origins must list at least one web origin");
+  } else if (isNonEmptyString(rpId)) {
+    origins
+      .map(origin => getOriginProblem(String(origin), rpId))
+      .filter(Boolean)
+      .forEach(problem => problems.push(`origins: ${problem}`));
+  }
+  if (!Array.isArray(android)) {
+    problems.push("android must be a list of apps");
+  } else {
+    android.forEach((app, index) => {
+      if (!app || !isNonEmptyString(app.packageName)) {
+        problems.push(
+          `android[${index}].packageName must be a non-empty string`
+        );
+      }
+      const fingerprints = app && app.sha256CertFingerprints;
+      if (
+        !Array.isArray(fingerprints) ||
+        !fingerprints.length ||
+        !fingerprints.every(fingerprint =>
+          FINGERPRINT_PATTERN.test(fingerprint)
+        )
+      ) {
+        problems.push(
+          `android[${index}].sha256CertFingerprints must list SHA-256 fingerprints like 'AB:CD:…' (32 bytes)`
+        );
+      }
+    });
+  }
+  if (
+    !ios ||
+    !Array.isArray(ios.appIds) ||
+    !ios.appIds.every(appId => IOS_APP_ID_PATTERN.test(appId))
+  ) {
+    problems.push(
+      "ios.appIds must list app IDs like 'ABCDE12345.com.example.app' (team ID, then bundle ID)"
+    );
+  }
+  if (
+    !timeouts ||
+    !isPositiveNumber(timeouts.ceremonySeconds) ||
+    !isPositiveNumber(timeouts.challengeSeconds)
+  ) {
+    problems.push(
+      "timeouts.ceremonySeconds and timeouts.challengeSeconds must be positive numbers"
+    );
+  } else if (timeouts.challengeSeconds < timeouts.ceremonySeconds) {
+    problems.push(
+      "timeouts.challengeSeconds can't be shorter than timeouts.ceremonySeconds, or challenges would expire while browsers still wait for the user"
+    );
+  }
+  if (
+    !Array.isArray(algorithms) ||
+    !algorithms.length ||
+    !algorithms.every(name => SUPPORTED_ALGORITHMS.includes(name))
+  ) {
+    problems.push(
+      `algorithms must list some of ${SUPPORTED_ALGORITHMS.join(", ")}, most preferred first`
+    );
+  }
+  return problems;
+}
+
+// ----------------------------------------------------------------------------
+// Loading
+// ----------------------------------------------------------------------------
+
+/**
+ * Read and validate the relying party configuration
+ *
+ * Throws, listing every problem, if the file can't be read or the configuration is invalid
+ *
+ * Input: the path of a JSON file
+ * {
+     rpId: String, // E.g. 'example.com'
+     rpName: String, // Shown by some authenticators
+     origins: String[], // Web origins allowed to use the credentials, on the RP ID or subdomains
+     android: [{ // Optional, apps allowed to use the credentials
+       packageName: String,
+       sha256CertFingerprints: String[] // Of the app's signing certificates
+     }],
+     ios: { // Optional
+       appIds: String[] // Apps allowed to use the credentials, e.g. 'ABCDE12345.com.example.app'
+     },
+     timeouts: { // Optional
+       ceremonySeconds: Number, // How long browsers wait for the user, default 120
+       challengeSeconds: Number // How long challenges can be answered, default 150
+     },
+     algorithms: String[] // Optional, offered signature algorithms, default ['ES256', 'RS256']
+ * }
+ *
+ * Response: the configuration with defaults applied, frozen, with in addition
+ * {
+     allowedOrigins: String[], // The web origins, and the origins the Android apps report
+     algorithmIds: Number[] // COSE identifiers of the algorithms
+ * }
+ **/
+function loadRpConfig(filePath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (e) {
+    throw new Error(
+      `Can't read the relying party configuration at ${filePath}: ${e.message}`
+    );
+  }
+  return createRpConfig(config, filePath);
+}
+
+// Validate a configuration that didn't come from a file, see loadRpConfig
+function createRpConfig(config, source = "the relying party configuration") {
+  const withDefaults = {
+    ...defaults,
+    ...config,
+    ios: { ...defaults.ios, ...config.ios },
+    timeouts: { ...defaults.timeouts, ...config.timeouts }
+  };
+  const problems = validateRpConfig(withDefaults);
+  if (problems.length) {
+    throw new Error(
+      `Invalid relying party configuration in ${source}:\n- ${problems.join("\n- ")}`
+    );
+  }
+  const androidOrigins = withDefaults.android.flatMap(app =>
+    app.sha256CertFingerprints.map(getAndroidOrigin)
+  );
+  return Object.freeze({
+    ...withDefaults,
+    allowedOrigins: [...withDefaults.origins, ...androidOrigins],
+    algorithmIds: withDefaults.algorithms.map(getAlgorithmId)
+  });
+}
+
+// ----------------------------------------------------------------------------
+// Verification
+// ----------------------------------------------------------------------------
+
+// The origin a WebAuthn response was created on, if the configuration allows it.
+// @simplewebauthn/server compares it with a single expected origin, so the allowlist is checked
+// here first. Throws otherwise
+function getAllowedOrigin(rpConfig, credential) {
+  let origin;
+  try {
+    ({ origin } = JSON.parse(
+      base64url.decode(credential.response.clientDataJSON)
+    ));
+  } catch (e) {
+    throw new Error("Invalid clientDataJSON");
+  }
+  if (!rpConfig.allowedOrigins.includes(origin)) {
+    throw new Error(`Origin "${origin}" isn't allowed`);
+  }
+  return origin;
+}
+
+// ----------------------------------------------------------------------------
+// Association with native apps
+// ----------------------------------------------------------------------------
+
+/**
+ * Digital Asset Links statements letting the Android apps use the credentials, to be served at
+ * /.well-known/assetlinks.json, see
+ * https://developer.android.com/training/sign-in/passkeys#add-support-dal
+ *
+ * Response: one statement per app, none without Android apps
+ **/
+function getAssetLinks(rpConfig) {
+  return rpConfig.android.map(app => ({
+    relation: ["delegate_permission/common.get_login_creds"],
+    target: {
+      namespace: "android_app",
+      package_name: app.packageName,
+      sha256_cert_fingerprints: app.sha256CertFingerprints.map(fingerprint =>
+        fingerprint.toUpperCase()
+      )
+    }
+  }));
+}
+
+/**
+ * Apple App Site Association document letting the iOS apps use the credentials, to be served at
+ * /.well-known/apple-app-site-association, see
+ * https://developer.apple.com/documentation/xcode/supporting-associated-domains
+ **/
+function getAppleAppSiteAssociation(rpConfig) {
+  return { webcredentials: { apps: rpConfig.ios.appIds } };
+}
+
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  loadRpConfig,
+  createRpConfig,
+  getAllowedOrigin,
+  getAssetLinks,
+  getAppleAppSiteAssociation
+};
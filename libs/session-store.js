@@ -0,0 +1,122 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// express-session store that keeps sessions in our store (see libs/store), next to the users, so
+// that users can list their sessions and end them remotely
+
+// Lifetime of sessions whose cookie doesn't expire (browser sessions), renewed on every request
+const DEFAULT_SESSION_LIFETIME = 24 * 60 * 60 * 1000;
+
+// An unchanged session's expiration date is only renewed once it moved by this much, see touch
+const TOUCH_INTERVAL = 60 * 1000;
+
+// Expired sessions are removed when sessions are saved, at most this often, so that those of
+// visitors who never come back don't pile up in the store
+const PRUNE_INTERVAL = 60 * 1000;
+
+// Names of the sessions of a signed-in user, see completeAuthentication in libs/auth.js
+const signedInSessionNames = ["main", "enrollment"];
+
+function getExpirationDate(sess) {
+  return sess.cookie && sess.cookie.expires
+    ? new Date(sess.cookie.expires).getTime()
+    : Date.now() + DEFAULT_SESSION_LIFETIME;
+}
+
+function toRecord(sid, sess) {
+  return {
+    sid,
+    // Only sessions of a signed-in user belong to them, including those that must set up
+    // two-factor authentication first, so that they're revoked with the others
+    username: signedInSessionNames.includes(sess.name) ? sess.username : null,
+    expires: getExpirationDate(sess),
+    data: sess
+  };
+}
+
+/**
+ * Create an express-session store
+ *
+ * Sessions are stored as
+ * {
+     sid: String,
+     username: String, // null until the user signed in, see completeAuthentication in libs/auth.js
+     expires: Number,
+     data: Object // The session itself
+ * }
+ *
+ * Input:
+ * session: the express-session module, whose Store class is extended
+ * store: see libs/store
+ **/
+function createSessionStore(session, store) {
+  let lastPruneDate = 0;
+
+  async function pruneSessions() {
+    if (Date.now() - lastPruneDate >= PRUNE_INTERVAL) {
+      lastPruneDate = Date.now();
+      await store.pruneSessions(lastPruneDate);
+    }
+  }
+
+  class SessionStore extends session.Store {
+    get(sid, callback) {
+      store
+        .getSession(sid)
+        .then(async record => {
+          if (record && record.expires <= Date.now()) {
+            await store.deleteSession(sid);
+            return null;
+          }
+          return record ? record.data : null;
+        })
+        .then(data => callback(null, data), callback);
+    }
+
+    set(sid, sess, callback) {
+      pruneSessions()
+        .then(() => store.setSession(sid, toRecord(sid, sess)))
+        .then(() => callback(null), callback);
+    }
+
+    // Called instead of set when the session didn't change during the request. A session that was
+    // revoked in the meantime isn't brought back
+    touch(sid, sess, callback) {
+      store
+        .getSession(sid)
+        .then(async record => {
+          if (
+            record &&
+            getExpirationDate(sess) - record.expires >= TOUCH_INTERVAL
+          ) {
+            await store.setSession(sid, toRecord(sid, sess));
+          }
+        })
+        .then(() => callback(null), callback);
+    }
+
+    // express-session calls it without a callback when req.session.destroy() is given none
+    destroy(sid, callback = () => {}) {
+      store.deleteSession(sid).then(() => callback(null), callback);
+    }
+  }
+  return new SessionStore();
+}
+
+module.exports = {
+  createSessionStore
+};
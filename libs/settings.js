@@ -0,0 +1,191 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// Settings of this server, read from environment variables (see the README). libs/auth.js doesn't
+// read them itself, so that other apps embedding its router can configure it their own way.
+
+const fs = require("fs");
+const { loadRpConfig, createRpConfig } = require("./rp-config");
+const { loadMetadataBlob } = require("./metadata");
+const { mailTransports, createMailer } = require("./mailer");
+const { notificationTransports, createNotifier } = require("./notifier");
+
+// ----------------------------------------------------------------------------
+// Utils
+// ----------------------------------------------------------------------------
+
+// Comma-separated environment variable as a list of lowercase values
+function getListFromEnv(name) {
+  return (process.env[name] || "")
+    .split(",")
+    .map(value => value.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Numeric environment variable, or the default if it isn't set
+function getNumberFromEnv(name, defaultValue) {
+  const value = process.env[name];
+  return value ? Number(value) : defaultValue;
+}
+
+function isDevelopment() {
+  return process.env.NODE_ENV === "development";
+}
+
+// ----------------------------------------------------------------------------
+// Settings
+// ----------------------------------------------------------------------------
+
+// Express's "trust proxy" setting, so that req.ip is the client's address rather than the proxy's,
+// for throttling, the audit log, sessions and devices: true, a number of proxies, or addresses and
+// subnets such as "loopback, 10.0.0.0/8". Off by default, since clients could otherwise pick
+// their address with X-Forwarded-For
+function getTrustProxy() {
+  const value = (process.env.TRUST_PROXY || "").trim();
+  if (!value || value === "false") {
+    return false;
+  }
+  if (value === "true") {
+    return true;
+  }
+  return /^\d+$/.test(value) ? Number(value) : getListFromEnv("TRUST_PROXY");
+}
+
+// Relying party configuration file, see libs/rp-config.js. Throws if it's invalid, so that the
+// server doesn't start. Without a file, development servers run on localhost
+function getRpConfig() {
+  const filePath = process.env.RP_CONFIG_PATH || "rp-config.json";
+  if (
+    isDevelopment() &&
+    !process.env.RP_CONFIG_PATH &&
+    !fs.existsSync(filePath)
+  ) {
+    return createRpConfig(
+      {
+        rpId: "localhost",
+        rpName: "bahnid-webauthn-codelab",
+        origins: ["http://localhost:8080"]
+      },
+      "the development defaults"
+    );
+  }
+  return loadRpConfig(filePath);
+}
+
+// The policy option of createWebAuthnRouter, see libs/auth.js
+function getPolicy() {
+  return {
+    registration: {
+      allowedAaguids: getListFromEnv("ALLOWED_AAGUIDS"),
+      blockedAaguids: getListFromEnv("BLOCKED_AAGUIDS"),
+      minCertificationLevel: process.env.MIN_CERTIFICATION_LEVEL || "",
+      requireUserVerification: process.env.REQUIRE_USER_VERIFICATION === "true"
+    },
+    clonePolicy: process.env.CLONE_POLICY || "flag",
+    reauthenticationMinutes: getNumberFromEnv("REAUTHENTICATION_MINUTES", 5),
+    requireTwoFactor: process.env.REQUIRE_TWO_FACTOR === "true",
+    twoFactorGraceSignIns: getNumberFromEnv("TWO_FACTOR_GRACE_SIGN_INS", 0),
+    twoFactorGraceDays: getNumberFromEnv("TWO_FACTOR_GRACE_DAYS", 0),
+    trustedDeviceDays: getNumberFromEnv("TRUSTED_DEVICE_DAYS", 30),
+    secondFactorLockout: {
+      threshold: getNumberFromEnv("SECOND_FACTOR_LOCKOUT_THRESHOLD", 10),
+      minutes: getNumberFromEnv("SECOND_FACTOR_LOCKOUT_MINUTES", 15)
+    },
+    notifyAfterSecondFactorFailures: getNumberFromEnv(
+      "NOTIFY_AFTER_SECOND_FACTOR_FAILURES",
+      3
+    ),
+    accountRecovery: {
+      waitingHours: getNumberFromEnv("ACCOUNT_RECOVERY_WAITING_HOURS", 0),
+      requireApproval: process.env.ACCOUNT_RECOVERY_REQUIRE_APPROVAL === "true"
+    }
+  };
+}
+
+// The mailer option of createWebAuthnRouter, see libs/mailer.js. Development servers print emails
+// on the console; elsewhere, without MAIL_TRANSPORT, there's no mailer and no account recovery
+function getMailer() {
+  const transport =
+    process.env.MAIL_TRANSPORT ||
+    (isDevelopment() ? mailTransports.CONSOLE : "");
+  if (!transport) {
+    return null;
+  }
+  return createMailer({
+    transport,
+    from: process.env.MAIL_FROM || "no-reply@localhost",
+    filePath: process.env.MAIL_FILE_PATH
+  });
+}
+
+// The notifier option of createWebAuthnRouter, see libs/notifier.js. Notifications are emailed when
+// there's a mailer, unless NOTIFICATION_TRANSPORT says otherwise. Templates are read from a JSON
+// file, by notification type
+function getNotifier(mailer, rpConfig) {
+  const transport =
+    process.env.NOTIFICATION_TRANSPORT ||
+    (mailer ? notificationTransports.EMAIL : "");
+  if (!transport) {
+    return null;
+  }
+  const templatesPath = process.env.NOTIFICATION_TEMPLATES_PATH;
+  return createNotifier({
+    transport,
+    mailer,
+    webhookUrl: process.env.NOTIFICATION_WEBHOOK_URL,
+    filePath: process.env.NOTIFICATION_FILE_PATH,
+    accountUrl: `${rpConfig.origins[0]}/account`,
+    templates: templatesPath
+      ? JSON.parse(fs.readFileSync(templatesPath, "utf8"))
+      : {}
+  });
+}
+
+// How long confirming with an admin security key opens the admin area, see libs/admin-router.js
+function getAdminSessionMinutes() {
+  return getNumberFromEnv("ADMIN_SESSION_MINUTES", 15);
+}
+
+// Where users, credentials and challenges are stored, see createStore in libs/store
+function getStoreOptions() {
+  return { type: process.env.STORE || "json", path: process.env.STORE_PATH };
+}
+
+// Without metadata, credentials are still registered but their authenticator model is unknown.
+// An invalid BLOB throws here, so that the server doesn't start with untrusted metadata
+function loadMetadata() {
+  if (!process.env.MDS_BLOB_PATH) {
+    return;
+  }
+  const entriesCount = loadMetadataBlob({
+    blobPath: process.env.MDS_BLOB_PATH,
+    rootCertPath: process.env.MDS_ROOT_CERT_PATH
+  });
+  console.log(`Loaded ${entriesCount} authenticator metadata entries`);
+}
+
+module.exports = {
+  isDevelopment,
+  getTrustProxy,
+  getRpConfig,
+  getPolicy,
+  getMailer,
+  getNotifier,
+  getAdminSessionMinutes,
+  getStoreOptions,
+  loadMetadata
+};
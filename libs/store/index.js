@@ -0,0 +1,120 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// Storage for users (with their credentials), WebAuthn challenges, counters of failed attempts,
+// audit events and sessions
+//
+// Every store implements the same asynchronous interface, so that backends can be swapped:
+//
+// findUserByUsername(username) => user | undefined
+// findUserById(id) => user | undefined
+// findUsers({ query, limit }) => users // By username; only those whose username contains query,
+//                                      // case-insensitively, if given
+// createUser(user)
+// updateUser(username, changes) // Shallow merge; credentials can't be changed this way
+// addCredential(username, credential)
+// updateCredential(username, credId, changes) // Shallow merge
+// removeCredential(username, credId)
+// setChallenge(key, record) // { challenge, expires, ... }, see libs/challenges.js
+// takeChallenge(key) => record | undefined // Deleted at the same time, so that it's used once
+// deleteChallenge(key)
+// pruneChallenges(now) => count // Remove the records that expired before now
+// getAttempts(key) => attempts | undefined // Counters of failed attempts, see libs/throttle.js
+// setAttempts(key, attempts)
+// deleteAttempts(key)
+// addEvent(event) // Append to the audit log, see libs/audit.js. Events are never changed
+// findEvents({ userId, limit }) => events // Newest first; all users' events if no userId
+// pruneEvents(maxCount) => count // Remove the oldest events, so that at most maxCount are left
+// getSession(sid) => session | undefined // Sessions, see libs/session-store.js
+// setSession(sid, session)
+// deleteSession(sid)
+// findSessions({ username }) => sessions // Including expired ones
+// pruneSessions(now) => count // Remove the sessions that expired before now
+// reset() // Remove everything
+//
+// Users are returned as copies, with their credentials in `user.credentials`: changing them has
+// no effect on the store.
+
+const path = require("path");
+const fs = require("fs");
+const low = require("lowdb");
+const Memory = require("lowdb/adapters/Memory");
+const { createJsonFileAdapter, createLowdbStore } = require("./lowdb");
+
+// Available storage backends
+const storeTypes = Object.freeze({
+  // JSON file, the default. The server and bin/admin.js can use it at the same time, see
+  // createJsonFileAdapter in ./lowdb.js
+  JSON: "json",
+  // Nothing is persisted, for tests
+  MEMORY: "memory",
+  // SQLite database file, requires the optional better-sqlite3 dependency
+  SQLITE: "sqlite"
+});
+
+const defaultPaths = Object.freeze({
+  [storeTypes.JSON]: ".data/db.json",
+  [storeTypes.SQLITE]: ".data/db.sqlite"
+});
+
+// Create the directory that will hold the database file, if needed
+function ensureDirectory(filePath) {
+  const directory = path.dirname(filePath);
+  if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory, { recursive: true });
+  }
+}
+
+/**
+ * Create a store
+ *
+ * Input:
+ * {
+     type: String, // One of storeTypes, defaults to storeTypes.JSON
+     path: String // Database file for the JSON and SQLite stores, defaults to one in .data/
+ * }
+ **/
+function createStore({ type = storeTypes.JSON, path: filePath } = {}) {
+  switch (type) {
+    case storeTypes.MEMORY:
+      return createLowdbStore(low(new Memory()));
+    case storeTypes.JSON: {
+      const jsonPath = filePath || defaultPaths[storeTypes.JSON];
+      ensureDirectory(jsonPath);
+      const file = createJsonFileAdapter(jsonPath);
+      return createLowdbStore(low(file), file);
+    }
+    case storeTypes.SQLITE: {
+      const sqlitePath = filePath || defaultPaths[storeTypes.SQLITE];
+      ensureDirectory(sqlitePath);
+      // Required here, so that better-sqlite3 only needs to be installed when it's used
+      const { createSqliteStore } = require("./sqlite");
+      return createSqliteStore(sqlitePath);
+    }
+    default:
+      throw new Error(
+        `Unknown store type "${type}", expected one of ${Object.values(
+          storeTypes
+        ).join(", ")}`
+      );
+  }
+}
+
+module.exports = {
+  storeTypes,
+  createStore
+};
@@ -0,0 +1,261 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// Store backed by lowdb, used both for the JSON file and the in-memory backends.
+// See ./index.js for the interface.
+
+const fs = require("fs");
+
+/**
+ * lowdb adapter for the JSON file, shared by the server and bin/admin.js. Each write replaces the
+ * file at once, so that the other process never reads it half-written, and hasChanged() tells
+ * when the other process wrote it since this one last read or wrote it
+ **/
+function createJsonFileAdapter(filePath) {
+  let lastVersion = null;
+
+  // Each write creates a new file, so its inode tells versions apart even within the same mtime
+  function getVersion() {
+    try {
+      const { ino, mtimeMs, size } = fs.statSync(filePath);
+      return `${ino}:${mtimeMs}:${size}`;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return {
+    read() {
+      lastVersion = getVersion();
+      const data = lastVersion ? fs.readFileSync(filePath, "utf8").trim() : "";
+      return data ? JSON.parse(data) : {};
+    },
+
+    write(state) {
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+      fs.renameSync(tempPath, filePath);
+      lastVersion = getVersion();
+    },
+
+    hasChanged() {
+      return getVersion() !== lastVersion;
+    }
+  };
+}
+
+// file: the adapter from createJsonFileAdapter, none in memory
+function createLowdbStore(db, file = null) {
+  db.defaults({
+    users: [],
+    challenges: {},
+    attempts: {},
+    events: [],
+    sessions: {}
+  }).write();
+
+  const findUser = query => db.get("users").find(query);
+  const findCredentials = username => findUser({ username }).get("credentials");
+
+  const store = {
+    async findUserByUsername(username) {
+      return findUser({ username })
+        .cloneDeep()
+        .value();
+    },
+
+    async findUserById(id) {
+      return findUser({ id })
+        .cloneDeep()
+        .value();
+    },
+
+    async findUsers({ query = "", limit } = {}) {
+      const users = db
+        .get("users")
+        .filter(user =>
+          user.username.toLowerCase().includes(query.toLowerCase())
+        )
+        .sortBy("username")
+        .cloneDeep()
+        .value();
+      return limit ? users.slice(0, limit) : users;
+    },
+
+    async createUser(user) {
+      db.get("users")
+        .push({ credentials: [], ...user })
+        .write();
+    },
+
+    async updateUser(username, changes) {
+      const { credentials, ...otherChanges } = changes;
+      findUser({ username })
+        .assign(otherChanges)
+        .write();
+    },
+
+    async addCredential(username, credential) {
+      findCredentials(username)
+        .push(credential)
+        .write();
+    },
+
+    async updateCredential(username, credId, changes) {
+      findCredentials(username)
+        .find({ credId })
+        .assign(changes)
+        .write();
+    },
+
+    async removeCredential(username, credId) {
+      findCredentials(username)
+        .remove({ credId })
+        .write();
+    },
+
+    async setChallenge(key, record) {
+      db.set(["challenges", key], record).write();
+    },
+
+    // Synchronous between reading and deleting, so no other request can take the same record
+    async takeChallenge(key) {
+      const record = db
+        .get(["challenges", key])
+        .cloneDeep()
+        .value();
+      db.unset(["challenges", key]).write();
+      return record;
+    },
+
+    async deleteChallenge(key) {
+      db.unset(["challenges", key]).write();
+    },
+
+    async pruneChallenges(now) {
+      const challenges = db.get("challenges").value();
+      const expiredKeys = Object.keys(challenges).filter(
+        key => !(challenges[key].expires > now)
+      );
+      expiredKeys.forEach(key => db.unset(["challenges", key]).value());
+      db.write();
+      return expiredKeys.length;
+    },
+
+    async getAttempts(key) {
+      return db
+        .get(["attempts", key])
+        .cloneDeep()
+        .value();
+    },
+
+    async setAttempts(key, attempts) {
+      db.set(["attempts", key], attempts).write();
+    },
+
+    async deleteAttempts(key) {
+      db.unset(["attempts", key]).write();
+    },
+
+    async addEvent(event) {
+      db.get("events")
+        .push(event)
+        .write();
+    },
+
+    async findEvents({ userId, limit } = {}) {
+      const events = db
+        .get("events")
+        .filter(event => !userId || event.userId === userId)
+        .reverse()
+        .cloneDeep()
+        .value();
+      return limit ? events.slice(0, limit) : events;
+    },
+
+    async pruneEvents(maxCount) {
+      const events = db.get("events").value();
+      if (events.length <= maxCount) {
+        return 0;
+      }
+      db.set("events", events.slice(events.length - maxCount)).write();
+      return events.length - maxCount;
+    },
+
+    async getSession(sid) {
+      return db
+        .get(["sessions", sid])
+        .cloneDeep()
+        .value();
+    },
+
+    async setSession(sid, session) {
+      db.set(["sessions", sid], session).write();
+    },
+
+    async deleteSession(sid) {
+      db.unset(["sessions", sid]).write();
+    },
+
+    async findSessions({ username }) {
+      return db
+        .get("sessions")
+        .filter({ username })
+        .cloneDeep()
+        .value();
+    },
+
+    async pruneSessions(now) {
+      const sessions = db.get("sessions").value();
+      const expiredSids = Object.keys(sessions).filter(
+        sid => !(sessions[sid].expires > now)
+      );
+      expiredSids.forEach(sid => db.unset(["sessions", sid]).value());
+      db.write();
+      return expiredSids.length;
+    },
+
+    async reset() {
+      db.setState({
+        users: [],
+        challenges: {},
+        attempts: {},
+        events: [],
+        sessions: {}
+      }).write();
+    }
+  };
+
+  // Start each operation from the latest file. Operations are synchronous, so each one reads and
+  // writes the file in one go; only changes made by both processes at the same instant can be lost
+  return Object.fromEntries(
+    Object.entries(store).map(([name, operation]) => [
+      name,
+      async (...args) => {
+        if (file && file.hasChanged()) {
+          db.read();
+        }
+        return operation(...args);
+      }
+    ])
+  );
+}
+
+module.exports = {
+  createJsonFileAdapter,
+  createLowdbStore
+};
@@ -0,0 +1,332 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// Store backed by SQLite through better-sqlite3. See ./index.js for the interface.
+//
+// Users and credentials are kept as JSON documents, with the columns needed for lookups next to
+// them, so that new fields don't need a schema migration.
+
+const Database = require("better-sqlite3");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS credentials (
+    cred_id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS credentials_user_id ON credentials(user_id);
+  CREATE TABLE IF NOT EXISTS challenges (
+    key TEXT PRIMARY KEY,
+    expires INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS attempts (
+    key TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS events (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS events_user_id ON events(user_id);
+  CREATE TABLE IF NOT EXISTS sessions (
+    sid TEXT PRIMARY KEY,
+    username TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS sessions_username ON sessions(username);
+`;
+
+function createSqliteStore(filePath) {
+  const db = new Database(filePath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  db.exec(SCHEMA);
+
+  const statements = {
+    findUserByUsername: db.prepare("SELECT data FROM users WHERE username = ?"),
+    findUserById: db.prepare("SELECT data FROM users WHERE id = ?"),
+    // instr() rather than LIKE, so that % and _ in the query aren't wildcards
+    findUsers: db.prepare(
+      "SELECT data FROM users WHERE instr(lower(username), lower(?)) > 0 ORDER BY username LIMIT ?"
+    ),
+    insertUser: db.prepare(
+      "INSERT INTO users (id, username, data) VALUES (?, ?, ?)"
+    ),
+    updateUser: db.prepare("UPDATE users SET data = ? WHERE id = ?"),
+    findCredentials: db.prepare(
+      "SELECT data FROM credentials WHERE user_id = ? ORDER BY rowid"
+    ),
+    findCredential: db.prepare(
+      "SELECT data FROM credentials WHERE user_id = ? AND cred_id = ?"
+    ),
+    insertCredential: db.prepare(
+      "INSERT INTO credentials (cred_id, user_id, data) VALUES (?, ?, ?)"
+    ),
+    updateCredential: db.prepare(
+      "UPDATE credentials SET data = ? WHERE user_id = ? AND cred_id = ?"
+    ),
+    deleteCredential: db.prepare(
+      "DELETE FROM credentials WHERE user_id = ? AND cred_id = ?"
+    ),
+    setChallenge: db.prepare(
+      "INSERT OR REPLACE INTO challenges (key, expires, data) VALUES (?, ?, ?)"
+    ),
+    getChallenge: db.prepare("SELECT data FROM challenges WHERE key = ?"),
+    deleteChallenge: db.prepare("DELETE FROM challenges WHERE key = ?"),
+    pruneChallenges: db.prepare("DELETE FROM challenges WHERE expires <= ?"),
+    setAttempts: db.prepare(
+      "INSERT OR REPLACE INTO attempts (key, data) VALUES (?, ?)"
+    ),
+    getAttempts: db.prepare("SELECT data FROM attempts WHERE key = ?"),
+    deleteAttempts: db.prepare("DELETE FROM attempts WHERE key = ?"),
+    insertEvent: db.prepare(
+      "INSERT INTO events (id, user_id, data) VALUES (?, ?, ?)"
+    ),
+    // A negative limit means no limit
+    findEvents: db.prepare(
+      "SELECT data FROM events ORDER BY rowid DESC LIMIT ?"
+    ),
+    findUserEvents: db.prepare(
+      "SELECT data FROM events WHERE user_id = ? ORDER BY rowid DESC LIMIT ?"
+    ),
+    // Everything older than the newest ? events
+    pruneEvents: db.prepare(
+      "DELETE FROM events WHERE rowid <= (SELECT rowid FROM events ORDER BY rowid DESC LIMIT 1 OFFSET ?)"
+    ),
+    getSession: db.prepare("SELECT data FROM sessions WHERE sid = ?"),
+    setSession: db.prepare(
+      "INSERT OR REPLACE INTO sessions (sid, username, data) VALUES (?, ?, ?)"
+    ),
+    deleteSession: db.prepare("DELETE FROM sessions WHERE sid = ?"),
+    findSessions: db.prepare("SELECT data FROM sessions WHERE username = ?"),
+    findAllSessions: db.prepare("SELECT sid, data FROM sessions")
+  };
+
+  // The user document, without credentials
+  function getUserData(username) {
+    const row = statements.findUserByUsername.get(username);
+    return row && JSON.parse(row.data);
+  }
+
+  function withCredentials(row) {
+    if (!row) {
+      return undefined;
+    }
+    const user = JSON.parse(row.data);
+    user.credentials = statements.findCredentials
+      .all(user.id)
+      .map(credentialRow => JSON.parse(credentialRow.data));
+    return user;
+  }
+
+  const createUser = db.transaction(user => {
+    const { credentials = [], ...userData } = user;
+    statements.insertUser.run(
+      userData.id,
+      userData.username,
+      JSON.stringify(userData)
+    );
+    for (const credential of credentials) {
+      statements.insertCredential.run(
+        credential.credId,
+        userData.id,
+        JSON.stringify(credential)
+      );
+    }
+  });
+
+  const updateUser = db.transaction((username, changes) => {
+    const userData = getUserData(username);
+    if (!userData) {
+      return;
+    }
+    const { credentials, ...otherChanges } = changes;
+    statements.updateUser.run(
+      JSON.stringify({ ...userData, ...otherChanges }),
+      userData.id
+    );
+  });
+
+  const updateCredential = db.transaction((username, credId, changes) => {
+    const userData = getUserData(username);
+    const row = userData && statements.findCredential.get(userData.id, credId);
+    if (!row) {
+      return;
+    }
+    statements.updateCredential.run(
+      JSON.stringify({ ...JSON.parse(row.data), ...changes }),
+      userData.id,
+      credId
+    );
+  });
+
+  // Read and delete in one transaction, so no other connection can take the same record
+  const takeChallenge = db.transaction(key => {
+    const row = statements.getChallenge.get(key);
+    if (!row) {
+      return undefined;
+    }
+    statements.deleteChallenge.run(key);
+    return JSON.parse(row.data);
+  });
+
+  // Expiry dates are only in the session documents, see libs/session-store.js
+  const pruneSessions = db.transaction(now => {
+    const expiredSids = statements.findAllSessions
+      .all()
+      .filter(row => !(JSON.parse(row.data).expires > now))
+      .map(row => row.sid);
+    expiredSids.forEach(sid => statements.deleteSession.run(sid));
+    return expiredSids.length;
+  });
+
+  return {
+    async findUserByUsername(username) {
+      return withCredentials(statements.findUserByUsername.get(username));
+    },
+
+    async findUserById(id) {
+      return withCredentials(statements.findUserById.get(id));
+    },
+
+    async findUsers({ query = "", limit = -1 } = {}) {
+      return statements.findUsers.all(query, limit).map(withCredentials);
+    },
+
+    async createUser(user) {
+      createUser(user);
+    },
+
+    async updateUser(username, changes) {
+      updateUser(username, changes);
+    },
+
+    async addCredential(username, credential) {
+      const userData = getUserData(username);
+      if (userData) {
+        statements.insertCredential.run(
+          credential.credId,
+          userData.id,
+          JSON.stringify(credential)
+        );
+      }
+    },
+
+    async updateCredential(username, credId, changes) {
+      updateCredential(username, credId, changes);
+    },
+
+    async removeCredential(username, credId) {
+      const userData = getUserData(username);
+      if (userData) {
+        statements.deleteCredential.run(userData.id, credId);
+      }
+    },
+
+    async setChallenge(key, record) {
+      statements.setChallenge.run(key, record.expires, JSON.stringify(record));
+    },
+
+    async takeChallenge(key) {
+      return takeChallenge(key);
+    },
+
+    async deleteChallenge(key) {
+      statements.deleteChallenge.run(key);
+    },
+
+    async pruneChallenges(now) {
+      return statements.pruneChallenges.run(now).changes;
+    },
+
+    async getAttempts(key) {
+      const row = statements.getAttempts.get(key);
+      return row && JSON.parse(row.data);
+    },
+
+    async setAttempts(key, attempts) {
+      statements.setAttempts.run(key, JSON.stringify(attempts));
+    },
+
+    async deleteAttempts(key) {
+      statements.deleteAttempts.run(key);
+    },
+
+    async addEvent(event) {
+      statements.insertEvent.run(
+        event.id,
+        event.userId || null,
+        JSON.stringify(event)
+      );
+    },
+
+    async findEvents({ userId, limit = -1 } = {}) {
+      const rows = userId
+        ? statements.findUserEvents.all(userId, limit)
+        : statements.findEvents.all(limit);
+      return rows.map(row => JSON.parse(row.data));
+    },
+
+    async pruneEvents(maxCount) {
+      return statements.pruneEvents.run(maxCount).changes;
+    },
+
+    async getSession(sid) {
+      const row = statements.getSession.get(sid);
+      return row && JSON.parse(row.data);
+    },
+
+    async setSession(sid, session) {
+      statements.setSession.run(
+        sid,
+        session.username || null,
+        JSON.stringify(session)
+      );
+    },
+
+    async deleteSession(sid) {
+      statements.deleteSession.run(sid);
+    },
+
+    async findSessions({ username }) {
+      return statements.findSessions
+        .all(username)
+        .map(row => JSON.parse(row.data));
+    },
+
+    async pruneSessions(now) {
+      return pruneSessions(now);
+    },
+
+    async reset() {
+      db.exec(
+        "DELETE FROM credentials; DELETE FROM users; DELETE FROM challenges; DELETE FROM attempts; DELETE FROM events; DELETE FROM sessions;"
+      );
+    }
+  };
+}
+
+module.exports = {
+  createSqliteStore
+};
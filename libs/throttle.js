@@ -0,0 +1,89 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// Throttling of failed attempts with exponential backoff and temporary lockout. The counters are
+// plain records, kept by the caller (see the attempts methods in libs/store):
+// {
+//   failures: Number,
+//   lastFailureDate: Number,
+//   blockedUntil: Number // No attempt is accepted before this date
+// }
+
+/**
+ * Rules for one counter
+ *
+ * {
+     freeAttempts: Number, // Failures allowed before any delay
+     baseDelay: Number, // ms, doubled at each further failure
+     maxDelay: Number, // ms
+     lockoutThreshold: Number, // Failures after which the counter is locked, 0 for never
+     lockoutDuration: Number, // ms
+     resetAfter: Number // ms after the end of the last block without failures, then counting starts over
+ * }
+ **/
+
+// The record to use for a new attempt: null if the previous failures are old enough to be forgotten
+function getCurrentAttempts(attempts, rule, now) {
+  if (!attempts || now - attempts.blockedUntil > rule.resetAfter) {
+    return null;
+  }
+  return attempts;
+}
+
+// Seconds to wait before the next attempt is accepted, 0 if it can be made right away
+function getRetryAfter(attempts, now = Date.now()) {
+  if (!attempts || attempts.blockedUntil <= now) {
+    return 0;
+  }
+  return Math.ceil((attempts.blockedUntil - now) / 1000);
+}
+
+// The counter after one more failure
+function addFailure(attempts, rule, now = Date.now()) {
+  const current = getCurrentAttempts(attempts, rule, now);
+  const failures = (current ? current.failures : 0) + 1;
+  let delay = 0;
+  if (failures > rule.freeAttempts) {
+    delay = Math.min(
+      rule.baseDelay * 2 ** (failures - rule.freeAttempts - 1),
+      rule.maxDelay
+    );
+  }
+  if (rule.lockoutThreshold && failures >= rule.lockoutThreshold) {
+    delay = Math.max(delay, rule.lockoutDuration);
+  }
+  return {
+    failures,
+    lastFailureDate: now,
+    blockedUntil: now + delay
+  };
+}
+
+// The counter after a success, with one failure less, so that users sharing an IP address don't add
+// up to a delay by signing in. A block in progress isn't lifted
+function removeFailure(attempts) {
+  if (!attempts) {
+    return null;
+  }
+  return { ...attempts, failures: Math.max(attempts.failures - 1, 0) };
+}
+
+module.exports = {
+  getRetryAfter,
+  addFailure,
+  removeFailure
+};
@@ -0,0 +1,138 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// Time-based one-time passwords as per https://datatracker.ietf.org/doc/html/rfc6238, with the
+// defaults that authenticator apps support: HMAC-SHA1, 6 digits, 30-second steps
+
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const SECRET_BYTES = 20;
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+// ----------------------------------------------------------------------------
+// Utils
+// ----------------------------------------------------------------------------
+
+function base32Encode(buffer) {
+  let bits = "";
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, "0");
+  }
+  let encoded = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return encoded;
+}
+
+function base32Decode(encoded) {
+  let bits = "";
+  for (const char of encoded.replace(/=+$/, "").toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    bits += value.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+// HOTP value for a counter, see https://datatracker.ietf.org/doc/html/rfc4226#section-5.3
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+function getTimeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+// ----------------------------------------------------------------------------
+// Enrollment and verification
+// ----------------------------------------------------------------------------
+
+// A new random secret, base32-encoded as authenticator apps expect it
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+// The URI that authenticator apps read from the QR code, see
+// https://github.com/google/google-authenticator/wiki/Key-Uri-Format
+function getTotpUri({ secret, issuer, accountName }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: DIGITS,
+    period: STEP_SECONDS
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Check a code typed by the user
+ *
+ * Input:
+ * {
+     secret: String, // base32
+     code: String,
+     window: Number, // How many steps of clock skew to tolerate, before and after now
+     lastUsedStep: Number // Codes from this step or earlier are refused, so that they can't be replayed
+ * }
+ *
+ * Response: the time step the code belongs to, to be stored as the next lastUsedStep, or null if
+ * the code is invalid
+ **/
+function verifyTotp({ secret, code, window = 1, lastUsedStep = -1 }) {
+  const normalizedCode = String(code).replace(/\s/g, "");
+  if (!/^\d+$/.test(normalizedCode) || normalizedCode.length !== DIGITS) {
+    return null;
+  }
+  const currentStep = getTimeStep();
+  let matchedStep = null;
+  // Check every step of the window, so that timing doesn't reveal which one matched
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const isMatch = crypto.timingSafeEqual(
+      Buffer.from(generateCode(secret, step)),
+      Buffer.from(normalizedCode)
+    );
+    if (isMatch && step > lastUsedStep) {
+      matchedStep = step;
+    }
+  }
+  return matchedStep;
+}
+
+module.exports = {
+  generateTotpSecret,
+  getTotpUri,
+  verifyTotp
+};
@@ -0,0 +1,271 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// Templates of the admin area, see views/admin.html
+
+import { html } from "https://unpkg.com/lit-html@1.0.0/lit-html.js?module";
+
+const roleNames = {
+  viewer: "Viewer",
+  helpdesk: "Help desk"
+};
+
+function formatDate(date) {
+  return date ? new Date(date).toLocaleString() : "Never";
+}
+
+function getAccessHtml(status, { registerEl, authenticateEl }) {
+  const { role, hasCredential, isAuthenticated } = status;
+  if (isAuthenticated) {
+    return html`
+      <p>✅ Signed in to the admin area as ${roleNames[role] || role}.</p>
+    `;
+  }
+  return html`
+    <p>
+      Role: ${roleNames[role] || role}.
+      ${hasCredential
+        ? "Confirm with your admin security key to continue."
+        : html`
+            Register an admin security key first. It only opens the admin area:
+            keep it apart from the keys you sign in with.
+          `}
+    </p>
+    <div class="flex-end">
+      ${hasCredential
+        ? html`
+            <button @click="${authenticateEl}" class="right">
+              🔑 Confirm with admin security key
+            </button>
+          `
+        : html`
+            <button @click="${registerEl}" class="create right">
+              ➕ Register admin security key
+            </button>
+          `}
+    </div>
+  `;
+}
+
+function getUserListHtml(users, selectEl) {
+  if (!users.length) {
+    return html`
+      <p>No users found.</p>
+    `;
+  }
+  return html`
+    <ul class="activity">
+      ${users.map(
+        user => html`
+          <li>
+            <a href="#" data-username="${user.username}" @click="${selectEl}"
+              >${user.username}</a
+            >
+            <div class="info">
+              ${user.credentials.length}
+              credential${user.credentials.length === 1
+                ? ""
+                : "s"}${user.hasTotp ? " · Authenticator app" : ""}
+              ${user.adminRole
+                ? html`
+                    · ${roleNames[user.adminRole]}
+                  `
+                : ""}
+            </div>
+          </li>
+        `
+      )}
+    </ul>
+  `;
+}
+
+function getCredentialHtml(credential) {
+  const {
+    name,
+    authenticatorName,
+    icon,
+    aaguid,
+    attestationVerified,
+    algorithm,
+    transports,
+    isResidentKey,
+    creationDate,
+    lastUsedDate,
+    useCount,
+    cloneDetectionDate
+  } = credential;
+  return html`
+    <div class="credential-card">
+      <div class="credential-name">
+        ${icon
+          ? html`
+              <img class="authenticator-icon" src="${icon}" alt="" />
+            `
+          : ""}
+        ${name || authenticatorName || "(Unnamed)"}
+      </div>
+      ${cloneDetectionDate
+        ? html`
+            <div class="warning">
+              ⚠️ Possibly cloned, detected on
+              ${new Date(cloneDetectionDate).toLocaleDateString()}
+            </div>
+          `
+        : ""}
+      <div class="info">
+        <label>Model:</label>
+        ${authenticatorName || "Unknown"}
+        ${attestationVerified ? "(verified attestation)" : "(not verified)"}
+      </div>
+      <div class="info">
+        <label>AAGUID:</label> ${aaguid || "Not disclosed"}
+      </div>
+      <div class="info">
+        <label>Algorithm:</label> ${algorithm || "Unknown"} ·
+        <label>Transports:</label>
+        ${transports.length ? transports.join(", ") : "Unknown"} ·
+        <label>Passkey:</label>
+        ${isResidentKey === undefined
+          ? "Unknown"
+          : isResidentKey
+          ? "Yes"
+          : "No"}
+      </div>
+      <div class="info">
+        <label>Created:</label> ${formatDate(creationDate)} ·
+        <label>Last used:</label> ${formatDate(lastUsedDate)} (${useCount}
+        use${useCount === 1 ? "" : "s"})
+      </div>
+    </div>
+  `;
+}
+
+function getUserDetailsHtml(user, canReset, resetEl) {
+  return html`
+    <h4>${user.username}</h4>
+    <div class="info"><label>ID:</label> ${user.id}</div>
+    <div class="info">
+      <label>Recovery email:</label> ${user.recoveryEmail || "None"}
+      ${user.accountRecoveryStatus
+        ? html`
+            · <label>Account recovery:</label> ${user.accountRecoveryStatus}
+          `
+        : ""}
+    </div>
+    <div class="info">
+      <label>Authenticator app:</label> ${user.hasTotp ? "Yes" : "No"} ·
+      <label>Recovery codes left:</label> ${user.recoveryCodesLeft} ·
+      <label>Trusted browsers:</label> ${user.trustedDevicesCount}
+    </div>
+    <div class="info">
+      <label>Active sessions:</label> ${user.sessions.length}
+      ${user.sessions.length
+        ? html`
+            (last seen
+            ${formatDate(
+              Math.max(...user.sessions.map(session => session.lastSeenDate))
+            )})
+          `
+        : ""}
+    </div>
+    ${user.credentials.length
+      ? user.credentials.map(getCredentialHtml)
+      : html`
+          <p>No security key is registered.</p>
+        `}
+    ${canReset
+      ? html`
+          <div class="flex-end">
+            <button
+              data-username="${user.username}"
+              @click="${resetEl}"
+              class="secondary remove right"
+            >
+              Reset two-factor authentication
+            </button>
+          </div>
+        `
+      : ""}
+  `;
+}
+
+function getRecoveriesHtml(recoveries, { approveEl, denyEl }) {
+  if (!recoveries.length) {
+    return html`
+      <p>No account recovery awaits approval.</p>
+    `;
+  }
+  return html`
+    ${recoveries.map(
+      recovery => html`
+        <div class="credential-card">
+          <div class="credential-name">${recovery.username}</div>
+          <div class="info">
+            <label>Requested:</label> ${formatDate(recovery.requestDate)} ·
+            <label>Confirmed by email:</label>
+            ${formatDate(recovery.confirmationDate)}
+          </div>
+          <div class="flex-end">
+            <button
+              data-username="${recovery.username}"
+              @click="${denyEl}"
+              class="secondary remove right"
+            >
+              Deny
+            </button>
+            <button
+              data-username="${recovery.username}"
+              @click="${approveEl}"
+              class="right"
+            >
+              Approve
+            </button>
+          </div>
+        </div>
+      `
+    )}
+  `;
+}
+
+function getStatsHtml(stats) {
+  return html`
+    <div class="info">
+      <label>Users:</label> ${stats.usersCount} ·
+      <label>With two-factor authentication:</label>
+      ${stats.twoFactorUsersCount} (${Math.round(stats.twoFactorShare * 100)}%)
+      · <label>With an authenticator app:</label> ${stats.totpUsersCount}
+    </div>
+    <h4>Credentials by model (${stats.credentialsCount})</h4>
+    <ul class="activity">
+      ${stats.credentialsByModel.map(
+        ({ aaguid, authenticatorName, count }) => html`
+          <li>
+            ${authenticatorName || aaguid || "Undisclosed model"}: ${count}
+          </li>
+        `
+      )}
+    </ul>
+  `;
+}
+
+export {
+  getAccessHtml,
+  getUserListHtml,
+  getUserDetailsHtml,
+  getRecoveriesHtml,
+  getStatsHtml
+};
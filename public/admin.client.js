@@ -0,0 +1,153 @@
+/*
+ * @license
+ * Copyright 2021 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// Calls to the admin area's API, see libs/admin-router.js
+
+import { decodeServerOptions, encodeCredential } from "./encoding.js";
+
+// Error codes telling what the staff member must do first, see adminAccessErrors on the server
+const adminAccessErrors = Object.freeze({
+  REAUTHENTICATION_REQUIRED: "reauthentication_required",
+  ADMIN_AUTHENTICATION_REQUIRED: "admin_authentication_required"
+});
+
+// Thrown when the server asks for one of adminAccessErrors; `code` says which
+class AdminAccessError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "AdminAccessError";
+    this.code = code;
+  }
+}
+
+// Like _fetch, but turns the access errors into AdminAccessError so that the page can act on them
+async function _adminFetch(path, method, payload) {
+  const res = await fetch(path, {
+    method,
+    credentials: "same-origin",
+    headers: {
+      "X-Requested-With": "XMLHttpRequest",
+      ...(payload && { "Content-Type": "application/json" })
+    },
+    ...(payload && { body: JSON.stringify(payload) })
+  });
+  const result = await res.json();
+  if (res.status === 200) {
+    return result;
+  }
+  if (Object.values(adminAccessErrors).includes(result.code)) {
+    throw new AdminAccessError(result.error, result.code);
+  }
+  throw result.error;
+}
+
+// Resolves to { username, role, permissions, hasCredential, isAuthenticated }
+async function getAdminStatus() {
+  return _adminFetch("/admin/api/status", "GET");
+}
+
+// Create an admin credential, which also opens the admin area
+async function registerAdminCredential() {
+  const { ceremonyId, ...optionsFromServer } = await _adminFetch(
+    "/admin/api/credential-options",
+    "POST"
+  );
+  const credential = await navigator.credentials.create({
+    publicKey: decodeServerOptions(optionsFromServer)
+  });
+  const encodedCredential = encodeCredential(credential);
+  if (credential.response.getTransports) {
+    encodedCredential.transports = credential.response.getTransports();
+  }
+  return _adminFetch("/admin/api/credential", "POST", {
+    ...encodedCredential,
+    ceremonyId
+  });
+}
+
+// Confirm with an admin credential, which opens the admin area for a while
+async function authenticateAdmin() {
+  const { ceremonyId, ...optionsFromServer } = await _adminFetch(
+    "/admin/api/authentication-options",
+    "POST"
+  );
+  const credential = await navigator.credentials.get({
+    publicKey: decodeServerOptions(optionsFromServer)
+  });
+  return _adminFetch("/admin/api/authenticate", "POST", {
+    credential: encodeCredential(credential),
+    ceremonyId
+  });
+}
+
+async function searchUsers(search) {
+  const params = new URLSearchParams({
+    search
+  });
+  const { users } = await _adminFetch(`/admin/api/users?${params}`, "GET");
+  return users;
+}
+
+async function getUserDetails(username) {
+  const params = new URLSearchParams({
+    username
+  });
+  return _adminFetch(`/admin/api/user?${params}`, "GET");
+}
+
+// reason: how the user's identity was checked, recorded in the audit log
+async function resetTwoFactor(username, reason) {
+  return _adminFetch("/admin/api/reset-two-factor", "POST", {
+    username,
+    reason
+  });
+}
+
+async function getPendingRecoveries() {
+  const { recoveries } = await _adminFetch(
+    "/admin/api/account-recoveries",
+    "GET"
+  );
+  return recoveries;
+}
+
+// Let a user complete their account recovery, or refuse it; reason is recorded in the audit log
+async function decideRecovery(username, isApproved, reason) {
+  return _adminFetch("/admin/api/account-recovery-decision", "POST", {
+    username,
+    isApproved,
+    reason
+  });
+}
+
+async function getStats() {
+  return _adminFetch("/admin/api/stats", "GET");
+}
+
+export {
+  adminAccessErrors,
+  AdminAccessError,
+  getAdminStatus,
+  registerAdminCredential,
+  authenticateAdmin,
+  searchUsers,
+  getUserDetails,
+  resetTwoFactor,
+  getPendingRecoveries,
+  decideRecovery,
+  getStats
+};
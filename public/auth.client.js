@@ -19,9 +19,35 @@ import { decodeServerOptions, encodeCredential } from "./encoding.js";
 
 const authStatuses = Object.freeze({
   NEED_SECOND_FACTOR: "needSecondFactor",
+  NEED_ENROLLMENT: "needEnrollment",
   COMPLETE: "complete"
 });
 
+// Ways to provide the second factor
+const secondFactorMethods = Object.freeze({
+  WEBAUTHN: "webauthn",
+  TOTP: "totp",
+  RECOVERY_CODE: "recoveryCode"
+});
+
+// Ways to confirm one's identity before a sensitive operation
+const reauthenticationMethods = Object.freeze({
+  WEBAUTHN: "webauthn",
+  PASSWORD: "password"
+});
+
+// Thrown when the server wants the user to confirm their identity before a sensitive operation.
+// Once they have (see reauthenticateWithSecurityKey and reauthenticateWithPassword), the operation
+// can be retried
+class ReauthenticationRequiredError extends Error {
+  constructor(message, methods) {
+    super(message);
+    this.name = "ReauthenticationRequiredError";
+    // Some of reauthenticationMethods
+    this.methods = methods;
+  }
+}
+
 async function _fetch(path, method, payload = "") {
   const headers = {
     "X-Requested-With": "XMLHttpRequest"
@@ -42,16 +68,19 @@ async function _fetch(path, method, payload = "") {
   } else {
     // Server authentication failed
     const result = await res.json();
+    if (result.code === "reauthentication_required") {
+      throw new ReauthenticationRequiredError(result.error, result.methods);
+    }
     throw result.error;
   }
 }
 
 async function registerCredential() {
-  // Fetch the credential creation options from the backend
-  const credentialCreationOptionsFromServer = await _fetch(
-    '/auth/credential-options',
-    'POST'
-  );
+  // Fetch the credential creation options from the backend, and the ID of this ceremony
+  const {
+    ceremonyId,
+    ...credentialCreationOptionsFromServer
+  } = await _fetch('/auth/credential-options', 'POST');
   // Decode the credential creation options
   const credentialCreationOptions = decodeServerOptions(
     credentialCreationOptionsFromServer
@@ -74,7 +103,10 @@ async function registerCredential() {
   encodedCredential.credProps =
     credential.getClientExtensionResults().credProps;
   // Send the encoded credential to the backend for storage
-  return await _fetch('/auth/credential', 'POST', encodedCredential);
+  return await _fetch('/auth/credential', 'POST', {
+    ...encodedCredential,
+    ceremonyId,
+  });
 }
 
 async function renameCredential(credId, newName) {
@@ -85,16 +117,27 @@ async function renameCredential(credId, newName) {
   return _fetch(`/auth/credential?${params}`, "PUT");
 }
 
-async function removeCredential(credId) {
+// revokeSessions: also sign out of the other sessions that were signed in with this credential
+async function removeCredential(credId, revokeSessions = false) {
   const params = new URLSearchParams({
-    credId
+    credId,
+    revokeSessions
   });
   return _fetch(`/auth/credential?${params}`, "DELETE");
 }
 
-async function authenticateTwoFactor() {
-  // Fetch the 2F options from the backend
-  const optionsFromServer = await _fetch("/auth/two-factor-options", "POST");
+// Resolves to { methods, trustedDeviceDays }
+async function getTwoFactorMethods() {
+  return _fetch("/auth/two-factor-methods", "GET");
+}
+
+// With rememberDevice, this browser won't be asked for the second factor for a while
+async function authenticateTwoFactor(rememberDevice = false) {
+  // Fetch the 2F options from the backend, and the ID of this ceremony
+  const { ceremonyId, ...optionsFromServer } = await _fetch(
+    "/auth/two-factor-options",
+    "POST"
+  );
   // Decode them
   const decodedOptions = decodeServerOptions(optionsFromServer);
   // Get a credential via the browser API; this will prompt the user to touch their security key or tap a button on their phone
@@ -105,15 +148,194 @@ async function authenticateTwoFactor() {
   const encodedCredential = encodeCredential(credential);
   // Send it to the backend for verification
   return await _fetch("/auth/authenticate-two-factor", "POST", {
-    credential: encodedCredential
+    credential: encodedCredential,
+    ceremonyId,
+    rememberDevice
+  });
+}
+
+async function authenticateWithRecoveryCode(code, rememberDevice = false) {
+  return _fetch("/auth/authenticate-recovery-code", "POST", {
+    code,
+    rememberDevice
+  });
+}
+
+async function generateRecoveryCodes() {
+  return _fetch("/auth/recovery-codes", "POST");
+}
+
+async function authenticateWithTotp(code, rememberDevice = false) {
+  return _fetch("/auth/authenticate-totp", "POST", { code, rememberDevice });
+}
+
+async function getTotpOptions() {
+  return _fetch("/auth/totp-options", "POST");
+}
+
+async function enrollTotp(code) {
+  return _fetch("/auth/totp", "POST", { code });
+}
+
+async function removeTotp() {
+  return _fetch("/auth/totp", "DELETE");
+}
+
+// confirmation is the username, typed again by the user
+async function disableTwoFactor(confirmation) {
+  return _fetch("/auth/disable-two-factor", "POST", { confirmation });
+}
+
+async function reauthenticateWithSecurityKey() {
+  const { ceremonyId, ...optionsFromServer } = await _fetch(
+    "/auth/reauthentication-options",
+    "POST"
+  );
+  const credential = await navigator.credentials.get({
+    publicKey: decodeServerOptions(optionsFromServer)
+  });
+  return _fetch("/auth/reauthenticate", "POST", {
+    credential: encodeCredential(credential),
+    ceremonyId
+  });
+}
+
+async function reauthenticateWithPassword(password) {
+  return _fetch("/auth/reauthenticate", "POST", { password });
+}
+
+async function getSessions() {
+  const { sessions } = await _fetch("/auth/sessions", "GET");
+  return sessions;
+}
+
+async function revokeSession(id) {
+  const params = new URLSearchParams({
+    id
+  });
+  return _fetch(`/auth/session?${params}`, "DELETE");
+}
+
+async function revokeOtherSessions() {
+  return _fetch("/auth/sessions", "DELETE");
+}
+
+async function getTrustedDevices() {
+  const { trustedDevices } = await _fetch("/auth/trusted-devices", "GET");
+  return trustedDevices;
+}
+
+async function forgetTrustedDevice(id) {
+  const params = new URLSearchParams({
+    id
+  });
+  return _fetch(`/auth/trusted-device?${params}`, "DELETE");
+}
+
+// Where account recovery links are sent; an empty email removes it
+async function setRecoveryEmail(email) {
+  return _fetch("/auth/recovery-email", "PUT", { email });
+}
+
+// From the second-factor page: email a recovery link, if the password was correct
+async function requestAccountRecovery() {
+  return _fetch("/auth/account-recovery", "POST");
+}
+
+// username and token come from the recovery link. Resolves to { status, availableDate,
+// requiresApproval, isApproved }
+async function getAccountRecoveryStatus(username, token) {
+  const params = new URLSearchParams({
+    username,
+    token
+  });
+  return _fetch(`/auth/account-recovery?${params}`, "GET");
+}
+
+async function confirmAccountRecovery(username, token) {
+  return _fetch("/auth/confirm-account-recovery", "POST", { username, token });
+}
+
+async function completeAccountRecovery(username, token) {
+  return _fetch("/auth/complete-account-recovery", "POST", {
+    username,
+    token
+  });
+}
+
+async function cancelAccountRecovery(username, token) {
+  return _fetch("/auth/cancel-account-recovery", "POST", { username, token });
+}
+
+// username and token come from the link issued by support
+async function resetPassword(username, token, password) {
+  return _fetch("/auth/reset-password", "POST", { username, token, password });
+}
+
+async function isConditionalMediationAvailable() {
+  return (
+    window.PublicKeyCredential &&
+    PublicKeyCredential.isConditionalMediationAvailable &&
+    (await PublicKeyCredential.isConditionalMediationAvailable())
+  );
+}
+
+async function authenticatePasswordless(signal) {
+  // Fetch the options from the backend; they don't name any credential, so any passkey can be used
+  const { ceremonyId, ...optionsFromServer } = await _fetch(
+    "/auth/passwordless-options",
+    "POST"
+  );
+  // Decode them
+  const decodedOptions = decodeServerOptions(optionsFromServer);
+  // With conditional mediation, the browser offers the user's passkeys in the username field's
+  // autofill instead of showing a modal prompt; this resolves once the user picks one
+  const credential = await navigator.credentials.get({
+    publicKey: decodedOptions,
+    mediation: "conditional",
+    signal
+  });
+  // Encode the credential
+  const encodedCredential = encodeCredential(credential);
+  // Send it to the backend for verification
+  return await _fetch("/auth/authenticate-passwordless", "POST", {
+    credential: encodedCredential,
+    ceremonyId
   });
 }
 
 export {
   authStatuses,
+  secondFactorMethods,
+  reauthenticationMethods,
+  ReauthenticationRequiredError,
   _fetch,
   registerCredential,
   renameCredential,
   removeCredential,
-  authenticateTwoFactor
+  getTwoFactorMethods,
+  authenticateTwoFactor,
+  authenticateWithRecoveryCode,
+  generateRecoveryCodes,
+  authenticateWithTotp,
+  getTotpOptions,
+  enrollTotp,
+  removeTotp,
+  disableTwoFactor,
+  reauthenticateWithSecurityKey,
+  reauthenticateWithPassword,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getTrustedDevices,
+  forgetTrustedDevice,
+  setRecoveryEmail,
+  requestAccountRecovery,
+  getAccountRecoveryStatus,
+  confirmAccountRecovery,
+  completeAccountRecovery,
+  cancelAccountRecovery,
+  resetPassword,
+  isConditionalMediationAvailable,
+  authenticatePasswordless
 };
@@ -36,6 +36,13 @@ const configuredHtml = html`
   </p>
 `;
 
+const noSecurityKeyHtml = html`
+  <p>
+    No security key is registered. Two-factor authentication currently relies
+    on your authenticator app only.
+  </p>
+`;
+
 const getTitleHtml = credentialsCount => html`
   <h4>
     Credential${credentialsCount > 1 ? "s" : ""} (${credentialsCount})
@@ -43,18 +50,61 @@ const getTitleHtml = credentialsCount => html`
 `;
 
 function getCredentialHtml(credential, removeEl, renameEl) {
-  const { name, credId, publicKey, creationDate } = credential;
+  const {
+    name,
+    credId,
+    publicKey,
+    creationDate,
+    cloneDetectionDate,
+    authenticatorName,
+    icon,
+    aaguid,
+    transports = [],
+    isResidentKey,
+    algorithm,
+    lastUsedDate,
+    lastUsedIp,
+    lastUsedUserAgent,
+    useCount = 0
+  } = credential;
   return html`
     <div class="credential-card">
       <div class="credential-name">
+        ${icon
+          ? html`
+              <img class="authenticator-icon" src="${icon}" alt="" />
+            `
+          : ""}
         ${name
           ? html`
               ${name}
             `
+          : authenticatorName
+          ? html`
+              ${authenticatorName}
+            `
           : html`
               <span class="unnamed">(Unnamed)</span>
             `}
       </div>
+      ${name && authenticatorName
+        ? html`
+            <div class="authenticator-name">
+              <label>Model:</label>
+              <div class="info">${authenticatorName}</div>
+            </div>
+          `
+        : ""}
+      ${cloneDetectionDate
+        ? html`
+            <div class="warning">
+              ⚠️ This credential may have been cloned: on
+              ${new Date(cloneDetectionDate).toLocaleDateString()}, it
+              reported having been used fewer times than we had recorded. If
+              you don't recognize your recent sign-ins, remove it.
+            </div>
+          `
+        : ""}
       <div class="creation-date">
         <label>Created:</label>
         <div class="info">
@@ -62,6 +112,51 @@ function getCredentialHtml(credential, removeEl, renameEl) {
           ${new Date(creationDate).toLocaleTimeString()}
         </div>
       </div>
+      <div class="last-used">
+        <label>Last used:</label>
+        <div class="info">
+          ${lastUsedDate
+            ? html`
+                ${new Date(lastUsedDate).toLocaleString()} from ${lastUsedIp}
+                (used ${useCount} time${useCount > 1 ? "s" : ""})
+              `
+            : "Never"}
+        </div>
+        ${lastUsedUserAgent
+          ? html`
+              <div class="info" title="${lastUsedUserAgent}">
+                ${lastUsedUserAgent}
+              </div>
+            `
+          : ""}
+      </div>
+      <details class="credential-details">
+        <summary>Details</summary>
+        <div>
+          <label>Transports:</label>
+          <div class="info">
+            ${transports.length ? transports.join(", ") : "Unknown"}
+          </div>
+        </div>
+        <div>
+          <label>Passkey (discoverable):</label>
+          <div class="info">
+            ${isResidentKey === undefined
+              ? "Unknown"
+              : isResidentKey
+              ? "Yes"
+              : "No"}
+          </div>
+        </div>
+        <div>
+          <label>Algorithm:</label>
+          <div class="info">${algorithm || "Unknown"}</div>
+        </div>
+        <div>
+          <label>AAGUID:</label>
+          <div class="info">${aaguid || "Not disclosed"}</div>
+        </div>
+      </details>
       <div class="flex-end">
         <button
           data-credential-id="${credId}"
@@ -82,7 +177,7 @@ function getCredentialHtml(credential, removeEl, renameEl) {
   `;
 }
 
-function getCredentialListHtml(credentials, removeEl, renameEl) {
+function getCredentialListHtml(credentials, removeEl, renameEl, hasTotp) {
   return html`
     ${credentials.length
       ? html`
@@ -93,8 +188,420 @@ function getCredentialListHtml(credentials, removeEl, renameEl) {
             `
           )}
         `
+      : hasTotp
+      ? noSecurityKeyHtml
       : notConfiguredHtml}
   `;
 }
 
-export { getCredentialListHtml };
+function getRecoveryCodesHtml(recoveryCodesLeft, newCodes, generateEl) {
+  return html`
+    <p>
+      If you lose your security keys, you can sign in with a recovery code
+      instead. Each code works only once.
+      ${recoveryCodesLeft
+        ? html`
+            You have <strong>${recoveryCodesLeft}</strong> recovery
+            code${recoveryCodesLeft > 1 ? "s" : ""} left.
+          `
+        : html`
+            You don't have any recovery codes left.
+          `}
+    </p>
+    ${newCodes.length
+      ? html`
+          <p>
+            Store these codes in a safe place now, you won't be able to see
+            them again:
+          </p>
+          <ul class="recovery-codes">
+            ${newCodes.map(
+              code => html`
+                <li>${code}</li>
+              `
+            )}
+          </ul>
+        `
+      : ""}
+    <div class="flex-end">
+      <button @click="${generateEl}" class="secondary right">
+        Generate new codes
+      </button>
+    </div>
+  `;
+}
+
+function getTotpHtml(totp, enrollment, { startEl, confirmEl, removeEl }) {
+  if (totp) {
+    return html`
+      <p>
+        ✅ An authenticator app is set up since
+        ${new Date(totp.creationDate).toLocaleDateString()}. You can sign in
+        with one of its codes instead of a security key.
+      </p>
+      <div class="flex-end">
+        <button @click="${removeEl}" class="secondary remove right">
+          🗑 Remove
+        </button>
+      </div>
+    `;
+  }
+  if (enrollment) {
+    return html`
+      <p>
+        Scan this QR code with your authenticator app, or type the key below
+        into it. Then enter the 6-digit code the app shows to finish.
+      </p>
+      <img class="qr-code" src="${enrollment.qrCode}" alt="QR code" />
+      <div class="info">
+        <label>Key:</label> <code>${enrollment.secret}</code>
+      </div>
+      <form @submit="${confirmEl}">
+        <input
+          type="text"
+          name="code"
+          inputmode="numeric"
+          autocomplete="one-time-code"
+        />
+        <input type="submit" class="button right" value="Confirm" />
+      </form>
+    `;
+  }
+  return html`
+    <p>
+      Use an authenticator app (e.g. Google Authenticator) as a second factor,
+      in addition to or instead of a security key.
+    </p>
+    <div class="flex-end">
+      <button @click="${startEl}" class="secondary right">
+        Set up an authenticator app
+      </button>
+    </div>
+  `;
+}
+
+// Where account recovery links are sent, when the server offers account recovery
+function getRecoveryEmailHtml(user, saveEl) {
+  if (!user.isAccountRecoveryAvailable) {
+    return "";
+  }
+  return html`
+    <h3>
+      Recovery email
+    </h3>
+    <p>
+      If you lose every second factor, you can recover your account from the
+      sign-in page with a link sent to this address.
+      ${user.recoveryEmail
+        ? ""
+        : html`
+            <strong>No recovery email is set.</strong>
+          `}
+    </p>
+    <form @submit="${saveEl}">
+      <input
+        type="email"
+        name="email"
+        autocomplete="email"
+        .value="${user.recoveryEmail || ""}"
+      />
+      <input type="submit" class="button right" value="Save" />
+    </form>
+  `;
+}
+
+// When the grace period for setting up required two-factor authentication ends, in words
+function getGraceDescription({ signInsLeft, endDate }) {
+  const limits = [];
+  if (signInsLeft !== null) {
+    limits.push(
+      `after ${signInsLeft} more sign-in${signInsLeft === 1 ? "" : "s"}`
+    );
+  }
+  if (endDate !== null) {
+    limits.push(`on ${new Date(endDate).toLocaleDateString()}`);
+  }
+  return limits.join(" or ");
+}
+
+function getTwoFactorStatusHtml(user, disableEl) {
+  const isEnabled = user.credentials.length > 0 || Boolean(user.totp);
+  if (!isEnabled && user.twoFactorGrace) {
+    return html`
+      <p class="warning">
+        ⚠️ Two-factor authentication is required. Add a credential or set up an
+        authenticator app: you won't be able to use your account without it
+        ${getGraceDescription(user.twoFactorGrace)}.
+      </p>
+    `;
+  }
+  if (!isEnabled) {
+    return html`
+      <p class="warning">
+        ⚠️ Two-factor authentication is off: anyone who knows your password
+        can sign in. Add a credential or set up an authenticator app to turn it
+        on.
+      </p>
+    `;
+  }
+  return html`
+    <p>
+      ✅ Two-factor authentication is on: signing in takes your password and
+      one of the second factors below.
+    </p>
+    ${user.isTwoFactorRequired
+      ? ""
+      : html`
+          <div class="flex-end">
+            <button @click="${disableEl}" class="secondary remove right">
+              Disable two-factor authentication
+            </button>
+          </div>
+        `}
+  `;
+}
+
+// How the second factor was provided, by secondFactorMethods value. Security keys are named
+const secondFactorMethodNames = {
+  totp: "an authenticator app",
+  recoveryCode: "a recovery code",
+  trustedDevice: "a trusted browser"
+};
+
+// What happened, in words, by audit event type (see libs/audit.js)
+function getEventDescription(event) {
+  const { type, success, method, credentialName, authenticatorName } = event;
+  const credential = credentialName || authenticatorName || "unnamed";
+  switch (type) {
+    case "sign_up":
+      return "Account created";
+    case "password":
+      return success ? "Correct password entered" : "Wrong password entered";
+    case "second_factor":
+      return `${success ? "Signed in" : "Failed to sign in"} with ${
+        method === "webauthn"
+          ? `security key "${credential}"`
+          : secondFactorMethodNames[method]
+      }`;
+    case "passkey":
+      return `${
+        success ? "Signed in" : "Failed to sign in"
+      } with passkey "${credential}"`;
+    case "sign_in":
+      return event.newDevice ? "Signed in from a new device" : "Signed in";
+    case "reauthentication":
+      return `${success ? "Identity confirmed" : "Failed to confirm identity"} ${
+        method === "webauthn"
+          ? `with security key "${credential}"`
+          : "with password"
+      }`;
+    case "throttled":
+      return "Sign-in blocked after too many failed attempts";
+    case "sign_out":
+      return "Signed out";
+    case "sessions_revoked":
+      return `Signed out of ${event.count} other session${
+        event.count > 1 ? "s" : ""
+      }`;
+    case "trusted_device_added":
+      return "Browser trusted to skip the second factor";
+    case "trusted_devices_revoked":
+      return `${event.count} trusted browser${
+        event.count > 1 ? "s" : ""
+      } will ask for the second factor again`;
+    case "credential_registered":
+      return `Security key "${credential}" added`;
+    case "credential_renamed":
+      return `Security key renamed to "${credential}"`;
+    case "credential_removed":
+      return `Security key "${credential}" removed`;
+    case "totp_enrolled":
+      return "Authenticator app set up";
+    case "totp_removed":
+      return "Authenticator app removed";
+    case "recovery_codes_generated":
+      return "New recovery codes generated";
+    case "two_factor_disabled":
+      return "Two-factor authentication disabled";
+    case "two_factor_reset":
+      return "Two-factor authentication reset, every second factor was removed";
+    case "recovery_email_changed":
+      return event.removed ? "Recovery email removed" : "Recovery email set";
+    case "account_recovery_requested":
+      return "Account recovery requested, a link was emailed";
+    case "account_recovery_confirmed":
+      return "Account recovery confirmed with the emailed link";
+    case "account_recovery_approved":
+      return "Account recovery approved";
+    case "account_recovery_denied":
+      return "Account recovery denied";
+    case "account_recovery_cancelled":
+      return event.signedIn
+        ? "Account recovery cancelled by signing in"
+        : "Account recovery cancelled";
+    case "account_recovery_completed":
+      return "Account recovered, every second factor was removed";
+    case "password_reset_issued":
+      return "Password reset link issued";
+    case "password_reset":
+      return event.hadPassword ? "Password reset" : "Password set";
+    case "admin_role_changed":
+      return event.role
+        ? `Given the ${event.role} role in the admin area`
+        : "Removed from the admin area";
+    case "admin_credential_registered":
+      return "Admin security key added";
+    case "admin_authentication":
+      return success
+        ? "Admin area opened with the admin security key"
+        : "Failed to open the admin area";
+    default:
+      return type;
+  }
+}
+
+function getSessionsHtml(sessions, { revokeEl, revokeOthersEl }) {
+  return html`
+    ${sessions.map(
+      session => html`
+        <div class="credential-card">
+          <div class="credential-name">
+            ${session.isCurrent ? "This session" : session.ip}
+          </div>
+          <div class="info" title="${session.userAgent}">
+            ${session.userAgent}
+          </div>
+          <div class="info">
+            <label>Signed in:</label>
+            ${new Date(session.creationDate).toLocaleString()}
+            ${session.credentialName
+              ? html`
+                  with "${session.credentialName}"
+                `
+              : ""}
+          </div>
+          <div class="info">
+            <label>Last seen:</label>
+            ${new Date(session.lastSeenDate).toLocaleString()} from
+            ${session.ip}
+          </div>
+          ${session.isCurrent
+            ? ""
+            : html`
+                <div class="flex-end">
+                  <button
+                    data-session-id="${session.id}"
+                    @click="${revokeEl}"
+                    class="secondary remove right"
+                  >
+                    Sign out this session
+                  </button>
+                </div>
+              `}
+        </div>
+      `
+    )}
+    ${sessions.length > 1
+      ? html`
+          <div class="flex-end">
+            <button @click="${revokeOthersEl}" class="secondary right">
+              Sign out everywhere else
+            </button>
+          </div>
+        `
+      : ""}
+  `;
+}
+
+function getTrustedDevicesHtml(trustedDevices, forgetEl) {
+  if (!trustedDevices.length) {
+    return html`
+      <p>
+        No browser skips the second factor. Check "Don't ask again on this
+        browser" when you sign in to add one.
+      </p>
+    `;
+  }
+  return html`
+    ${trustedDevices.map(
+      device => html`
+        <div class="credential-card">
+          <div class="credential-name">
+            ${device.isCurrent ? "This browser" : device.ip}
+          </div>
+          <div class="info" title="${device.userAgent}">
+            ${device.userAgent}
+          </div>
+          <div class="info">
+            <label>Trusted:</label>
+            ${new Date(device.creationDate).toLocaleString()} from
+            ${device.ip}
+          </div>
+          <div class="info">
+            <label>Last used:</label>
+            ${device.lastUsedDate
+              ? new Date(device.lastUsedDate).toLocaleString()
+              : "Never"}
+          </div>
+          <div class="info">
+            <label>Expires:</label>
+            ${new Date(device.expirationDate).toLocaleString()}
+          </div>
+          <div class="flex-end">
+            <button
+              data-device-id="${device.id}"
+              @click="${forgetEl}"
+              class="secondary remove right"
+            >
+              Stop trusting
+            </button>
+          </div>
+        </div>
+      `
+    )}
+  `;
+}
+
+function getActivityHtml(events) {
+  if (!events.length) {
+    return html`
+      <p>No activity yet.</p>
+    `;
+  }
+  return html`
+    <ul class="activity">
+      ${events.map(
+        event => html`
+          <li class="${event.success ? "" : "failure"}">
+            <div>${getEventDescription(event)}</div>
+            <div class="info">
+              ${new Date(event.date).toLocaleString()} ·
+              ${event.admin
+                ? "By support"
+                : html`
+                    ${event.ip} ·
+                    <span title="${event.userAgent}">${event.userAgent}</span>
+                  `}
+            </div>
+          </li>
+        `
+      )}
+    </ul>
+    <div class="flex-end">
+      <a class="link-button right" href="/auth/activity.jsonl" download>
+        Download as JSON Lines
+      </a>
+    </div>
+  `;
+}
+
+export {
+  getTwoFactorStatusHtml,
+  getCredentialListHtml,
+  getRecoveryCodesHtml,
+  getTotpHtml,
+  getRecoveryEmailHtml,
+  getSessionsHtml,
+  getTrustedDevicesHtml,
+  getActivityHtml
+};
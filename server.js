@@ -19,16 +19,28 @@ require('dotenv').config()
 
 const express = require("express");
 const session = require("express-session");
+const cookieParser = require("cookie-parser");
 const hbs = require("hbs");
-const auth = require("./libs/auth");
+const { createWebAuthnRouter } = require("./libs/auth");
+const { createAdminRouter } = require("./libs/admin-router");
+const { createStore } = require("./libs/store");
+const { createSessionStore } = require("./libs/session-store");
+const settings = require("./libs/settings");
+const {
+  getAssetLinks,
+  getAppleAppSiteAssociation
+} = require("./libs/rp-config");
 const app = express();
 
 // Authentication statuses
 const authStatuses = Object.freeze({
   NEED_SECOND_FACTOR: "needSecondFactor",
+  NEED_ENROLLMENT: "needEnrollment",
   COMPLETE: "complete"
 });
 
+// Before anything reads req.ip, see the README
+app.set("trust proxy", settings.getTrustProxy());
 app.set("view engine", "html");
 app.engine("html", hbs.__express);
 app.set("views", "./views");
@@ -36,10 +48,50 @@ app.use(express.json());
 app.use(express.static(__dirname + "/public"));
 app.use(express.static("dist"));
 
+// Authentication: this app is one consumer of the router, configured from the environment
+const rpConfig = settings.getRpConfig();
+const store = createStore(settings.getStoreOptions());
+settings.loadMetadata();
+// Sends account recovery links; null turns account recovery off
+const mailer = settings.getMailer();
+// Tells users about changes to their account; null turns notifications off
+const notifier = settings.getNotifier(mailer, rpConfig);
+const auth = createWebAuthnRouter({
+  store,
+  rp: rpConfig,
+  policy: settings.getPolicy(),
+  mailer,
+  notifier,
+  auditLogPath: process.env.AUDIT_LOG_PATH,
+  secureCookies: !settings.isDevelopment()
+});
+// Help-desk area, behind its own roles and credentials
+const adminApi = createAdminRouter({
+  store,
+  rp: rpConfig,
+  sessionMinutes: settings.getAdminSessionMinutes(),
+  mailer,
+  auditLogPath: process.env.AUDIT_LOG_PATH
+});
+
 // Favicon
 var favicon = require('serve-favicon');
 app.use(favicon(__dirname + '/public/images/favicon.ico'));
 
+// Let the native apps listed in the relying party configuration use the same credentials as the
+// site. Both documents are fetched by the platforms without redirects nor cookies, and iOS expects
+// JSON even though the path has no extension.
+const assetLinks = getAssetLinks(rpConfig);
+const appleAppSiteAssociation = getAppleAppSiteAssociation(rpConfig);
+
+app.get("/.well-known/assetlinks.json", (req, res) => {
+  res.json(assetLinks);
+});
+
+app.get("/.well-known/apple-app-site-association", (req, res) => {
+  res.json(appleAppSiteAssociation);
+});
+
 
 // Environment Config
 let cookieSettings;
@@ -54,17 +106,45 @@ else {
   }
 }
 
+// Signs the session cookie; changing it signs everybody out
+let sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret) {
+  if (process.env.NODE_ENV !== "development") {
+    throw new Error("Set SESSION_SECRET to a long random string");
+  }
+  sessionSecret = "development-secret";
+}
+
+// Parses signed cookies other than the session's, such as the one of trusted devices
+app.use(cookieParser(sessionSecret));
+
 app.use(
   session({
-    // Specify a real secret here
-    secret: "secret",
-    resave: true,
+    secret: sessionSecret,
+    // Sessions are kept with the users, so that they survive restarts and can be listed and revoked
+    store: createSessionStore(session, store),
+    // Unchanged sessions are only touched, see libs/session-store.js
+    resave: false,
     saveUninitialized: false,
     proxy: true,
     cookie: cookieSettings
   })
 );
 
+// Keep track of when and from where each session was last used, for the list of sessions. To the
+// minute, so that the session isn't saved again on every request
+app.use((req, res, next) => {
+  if (
+    isAuthenticationComplete(req) &&
+    (Date.now() - (req.session.lastSeenDate || 0) >= 60 * 1000 ||
+      req.session.ip !== req.ip)
+  ) {
+    req.session.lastSeenDate = Date.now();
+    req.session.ip = req.ip;
+  }
+  next();
+});
+
 function isAuthenticationComplete(req) {
   return req.session.name === "main";
 }
@@ -73,19 +153,19 @@ function isAwaitingSecondFactor(req) {
   return req.session.authStatus === authStatuses.NEED_SECOND_FACTOR;
 }
 
+// Signed in, but two-factor authentication is required and must be set up first
+function isAwaitingEnrollment(req) {
+  return req.session.name === "enrollment";
+}
+
+// Requests that came over plain http through a proxy go to the main configured origin instead,
+// never to one taken from the request's headers
 app.use((req, res, next) => {
-  if (process.env.PROJECT_DOMAIN) {
-    process.env.HOSTNAME = `${process.env.PROJECT_DOMAIN}.glitch.me`;
-  } else {
-    process.env.HOSTNAME = req.headers.host;
-  }
-  const protocol = /^localhost/.test(process.env.HOSTNAME) ? "http" : "https";
-  process.env.ORIGIN = `${protocol}://${process.env.HOSTNAME}`;
   if (
     req.get("x-forwarded-proto") &&
     req.get("x-forwarded-proto").split(",")[0] !== "https"
   ) {
-    return res.redirect(301, process.env.ORIGIN);
+    return res.redirect(301, rpConfig.origins[0]);
   }
   req.schema = "https";
   next();
@@ -97,6 +177,10 @@ app.get("/", async (req, res) => {
     res.redirect(307, "/account");
     return;
   }
+  if (isAwaitingEnrollment(req)) {
+    res.redirect(307, "/enroll-two-factor");
+    return;
+  }
   // If the user is not authenticated, start a new "auth" session
   try {
     // "auth" is an intermediate session dedicated to authentication/signing in
@@ -112,6 +196,11 @@ app.get("/", async (req, res) => {
 });
 
 app.get("/account", (req, res) => {
+  // The enrollment page can't be skipped by coming here directly
+  if (isAwaitingEnrollment(req)) {
+    res.redirect(307, "/enroll-two-factor");
+    return;
+  }
   if (!isAuthenticationComplete(req)) {
     // If the user is not completely authenticated, redirect to the index page with the signin/signup form
     res.redirect(307, "/");
@@ -132,7 +221,42 @@ app.get("/second-factor", (req, res) => {
   res.render("second-factor.html");
 });
 
+app.get("/enroll-two-factor", (req, res) => {
+  if (isAuthenticationComplete(req)) {
+    res.redirect(302, "/account");
+    return;
+  }
+  if (!isAwaitingEnrollment(req)) {
+    res.redirect(302, "/");
+    return;
+  }
+  res.render("enroll-two-factor.html", {
+    username: req.session.username,
+    mustEnrollSecurityKey: req.session.mustEnrollSecurityKey
+  });
+});
+
+// Opened from the link of an account recovery email; the page reads the link's parameters
+app.get("/recover", (req, res) => {
+  res.render("recover.html");
+});
+
+// Opened from a link issued by support, see libs/password-reset.js
+app.get("/reset-password", (req, res) => {
+  res.render("reset-password.html");
+});
+
+// Staff without a role are told so by the page, which asks the API
+app.get("/admin", (req, res) => {
+  if (!isAuthenticationComplete(req)) {
+    res.redirect(307, "/");
+    return;
+  }
+  res.render("admin.html", { username: req.session.username });
+});
+
 app.use("/auth", auth);
+app.use("/admin/api", adminApi);
 
 const port = process.env.GLITCH_DEBUGGER ? null : 8080;
 const listener = app.listen(port || process.env.PORT, () => {